@@ -0,0 +1,91 @@
+// File system store for a two-tier cache (see the cache store property)
+
+'use strict';
+const Crypto  = require('crypto');
+const FS      = require('fs');
+const Path    = require('path');
+
+
+// Counter for naming temporary files
+let lastWrite = 0;
+
+
+// Stores each key in a separate file in this directory.  Records are stored as
+// JSON, so keys and values have to be serializable.
+//
+// Options:
+// serialize    - Called with the value and key, returns the value to store
+// deserialize  - Called with the stored value and key, returns the value
+class FileStore {
+
+  constructor(directory, options) {
+    this.directory    = directory;
+    this.serialize    = options && options.serialize;
+    this.deserialize  = options && options.deserialize;
+  }
+
+  // Resolves to the record, or undefined if not found
+  get(key) {
+    const self = this;
+    return FS.promises.readFile(this._filename(key), 'utf8')
+      .then(function(json) {
+        const record  = JSON.parse(json);
+        const value   = self.deserialize ? self.deserialize(record.value, key) : record.value;
+        return { value, cost: record.cost, expires: record.expires };
+      }, ignoreNotFound);
+  }
+
+  // Writes to a temporary file first, so we never read a partial record
+  set(key, record) {
+    const filename  = this._filename(key);
+    const temporary = `${filename}.${process.pid}.${++lastWrite}.tmp`;
+    const json      = JSON.stringify({
+      value:    this.serialize ? this.serialize(record.value, key) : record.value,
+      cost:     record.cost,
+      expires:  record.expires
+    });
+    return FS.promises.mkdir(this.directory, { recursive: true })
+      .then(function() {
+        return FS.promises.writeFile(temporary, json);
+      })
+      .then(function() {
+        return FS.promises.rename(temporary, filename);
+      });
+  }
+
+  delete(key) {
+    return FS.promises.unlink(this._filename(key))
+      .catch(ignoreNotFound);
+  }
+
+  // Deletes all records in the directory
+  clear() {
+    const directory = this.directory;
+    return FS.promises.readdir(directory)
+      .then(function(filenames) {
+        const records = filenames.filter(function(filename) {
+          return filename.endsWith('.json');
+        });
+        return Promise.all(records.map(function(filename) {
+          return FS.promises.unlink(Path.join(directory, filename)).catch(ignoreNotFound);
+        }));
+      }, ignoreNotFound);
+  }
+
+  // Keys can be any length and have any characters, so we use their hash
+  _filename(key) {
+    const hash = Crypto.createHash('sha1').update(String(JSON.stringify(key))).digest('hex');
+    return Path.join(this.directory, `${hash}.json`);
+  }
+
+}
+
+
+// Missing file (or directory) is the same as a missing key
+function ignoreNotFound(error) {
+  if (error.code !== 'ENOENT')
+    throw error;
+}
+
+
+module.exports = FileStore;
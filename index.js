@@ -1,7 +1,8 @@
 // LRU cache for people who like ES6 and promises
 
 'use strict';
-const Util = require('util');
+const EventEmitter  = require('events');
+const Util          = require('util');
 
 
 // Convert any value into a limit: a positive number, zero or Infinity.
@@ -15,9 +16,33 @@ function actualCost(cost) {
   return Number.isFinite(cost) ? Math.max(0, cost) : 1;
 }
 
-// TTL (milliseconds) to expiration (timestamp)
-function ttlToExpires(ttl) {
-  return Number.isInteger(ttl) ? Date.now() + ttl : Infinity;
+// True if we can evict link to make room for a key in this partition (which
+// may be null).  We can't evict keys from other partitions at or below their
+// reserved cost.
+function canEvict(link, partition) {
+  const other = link.partition;
+  return !other || other === partition || (other.cost - link.cost >= other.reserved);
+}
+
+// Returns the named option, or the cache-wide default if not specified
+function optionOrDefault(options, defaults, name) {
+  const value = options && options[name];
+  return (value === undefined) ? defaults[name] : value;
+}
+
+// TTL (milliseconds) to expiration (timestamp), counting from now
+function ttlToExpires(ttl, now) {
+  return Number.isInteger(ttl) ? now + ttl : Infinity;
+}
+
+// Tags option to array of unique tags.  A single tag can be a string.
+function tagsFrom(tags) {
+  if (!tags)
+    return [];
+  else if (typeof tags === 'string')
+    return [ tags ];
+  else
+    return Array.from(new Set(tags));
 }
 
 // Returns true if the entry has expired already
@@ -25,47 +50,823 @@ function hasExpired(link) {
   return (link.expires <= Date.now());
 }
 
+// Fresh counters for cache statistics
+function newStats() {
+  return {
+    hits:             0,
+    misses:           0,
+    stale:            0,
+    materializations: 0,
+    failures:         0,
+    sets:             0,
+    evictions:        { lru: 0, expired: 0 }
+  };
+}
+
+// Returns true if value is a promise (or any thenable)
+function isPromise(value) {
+  return !!(value && typeof value.then === 'function');
+}
+
+// Estimates how many bytes this value takes up: strings (as UTF-8), Buffers,
+// typed arrays, and recursively arrays, plain objects, maps and sets.  Objects
+// we've seen before (e.g. circular references) only count once.
+function estimateSize(value, seen) {
+  switch (typeof value) {
+    case 'string':
+      return Buffer.byteLength(value);
+    case 'number':
+    case 'bigint':
+    case 'symbol':
+      return 8;
+    case 'boolean':
+      return 4;
+    case 'object':
+      break;
+    default:
+      // undefined, functions
+      return 0;
+  }
+
+  if (value === null || seen.has(value))
+    return 0;
+  seen.add(value);
+
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer)
+    return value.byteLength;
+  if (value instanceof Date)
+    return 8;
+
+  let size = 0;
+  if (Array.isArray(value) || value instanceof Set) {
+    for (let item of value)
+      size += 8 + estimateSize(item, seen);
+  } else if (value instanceof Map) {
+    for (let entry of value)
+      size += estimateSize(entry[0], seen) + estimateSize(entry[1], seen);
+  } else {
+    for (let name of Object.keys(value))
+      size += Buffer.byteLength(name) + estimateSize(value[name], seen);
+  }
+  return size;
+}
+
+// Materialized promises that resolved, and their resolved values.  We use this
+// to dump the value of a promise without waiting for it.
+const resolvedValues = new WeakMap();
+
+// Materialized promises, and the controllers that abort their signal.  We use
+// this to abort materialize when deleting the key.
+const abortControllers = new WeakMap();
+
+// setTimeout can't wait longer than this (about 24 days)
+const MAX_TIMEOUT = 2147483647;
+
+// Heap order for expiring links: soonest to expire first
+function compareExpires(a, b) {
+  return a.expires - b.expires;
+}
+
+
+// Binary min-heap.  Each item keeps track of its position in the heap (in the
+// named property), so we can remove or reorder any item in O(log N).
+class Heap {
+
+  constructor(compare, indexProperty) {
+    this.items          = [];
+    this.compare        = compare;
+    this.indexProperty  = indexProperty;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  // Returns the smallest item, or undefined if the heap is empty
+  peek() {
+    return this.items[0];
+  }
+
+  has(item) {
+    const index = item[this.indexProperty];
+    return (index >= 0 && this.items[index] === item);
+  }
+
+  push(item) {
+    item[this.indexProperty] = this.items.length;
+    this.items.push(item);
+    this._siftUp(item[this.indexProperty]);
+  }
+
+  remove(item) {
+    if (!this.has(item))
+      return;
+
+    const index = item[this.indexProperty];
+    const last  = this.items.pop();
+    item[this.indexProperty] = -1;
+    if (last !== item) {
+      this._place(last, index);
+      this.update(last);
+    }
+  }
+
+  // Call this after changing the item in a way that affects its order
+  update(item) {
+    if (!this.has(item))
+      return;
+    const index = item[this.indexProperty];
+    this._siftUp(index);
+    this._siftDown(item[this.indexProperty]);
+  }
+
+  clear() {
+    for (let item of this.items)
+      item[this.indexProperty] = -1;
+    this.items = [];
+  }
+
+  _place(item, index) {
+    this.items[index]         = item;
+    item[this.indexProperty]  = index;
+  }
+
+  _siftUp(index) {
+    const item = this.items[index];
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent      = this.items[parentIndex];
+      if (this.compare(parent, item) <= 0)
+        break;
+      this._place(parent, index);
+      index = parentIndex;
+    }
+    this._place(item, index);
+  }
+
+  _siftDown(index) {
+    const item   = this.items[index];
+    const length = this.items.length;
+    while (true) {
+      const left  = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      let smallestItem = item;
+      if (left < length && this.compare(this.items[left], smallestItem) < 0) {
+        smallest     = left;
+        smallestItem = this.items[left];
+      }
+      if (right < length && this.compare(this.items[right], smallestItem) < 0) {
+        smallest     = right;
+        smallestItem = this.items[right];
+      }
+      if (smallest === index)
+        break;
+      this._place(smallestItem, index);
+      index = smallest;
+    }
+    this._place(item, index);
+  }
+
+}
+
 
 // 1. We don't want these properties to show up in console.log(cache)
 // 2. Private methods could come here, when io.js supports them
-const _cost   = Symbol('cost');
-const _head   = Symbol('head');
-const _tail   = Symbol('tail');
-const _limit  = Symbol('limit');
-const _map    = Symbol('map');
+const _cost       = Symbol('cost');
+const _head       = Symbol('head');
+const _tail       = Symbol('tail');
+const _limit      = Symbol('limit');
+const _map        = Symbol('map');
+const _active     = Symbol('active');
+const _timer      = Symbol('timer');
+const _sweepAt    = Symbol('sweepAt');
+const _expiring   = Symbol('expiring');
+const _batch      = Symbol('batch');
+const _stats      = Symbol('stats');
+const _policy     = Symbol('policy');
+const _policyName = Symbol('policyName');
+const _defaults   = Symbol('defaults');
+const _tags       = Symbol('tags');
+const _parent     = Symbol('parent');
+const _namespaces = Symbol('namespaces');
+const _partitions = Symbol('partitions');
+const _links      = Symbol('links');
+const _writes     = Symbol('writes');
+const _writing    = Symbol('writing');
+const _writeTimer = Symbol('writeTimer');
+const _pending    = Symbol('pending');
+const _ownCost    = Symbol('ownCost');
+const _storing    = Symbol('storing');
+const _clearing   = Symbol('clearing');
+
+
+// -- Eviction policies --
+//
+// An eviction policy decides which key to evict when the cache needs to make
+// room.  It's told when a link is added, accessed (get) and removed, and it
+// picks the victim:
+//
+// add(link)    - New link added to the cache
+// access(link) - Existing link retrieved from the cache
+// remove(link) - Link removed from the cache, for any reason
+// clear()      - All links removed from the cache
+// victim()     - Returns the next link to evict, must return a link as long as
+//                the cache is not empty
+//
+// Policies only decide which key to evict.  The cache does the evicting, keeps
+// track of cost, and always iterates from most to least recently used.
+
+
+// SLRU protected segment holds up to 80% of the limit
+const SLRU_PROTECTED    = 0.8;
+// TinyLFU window holds 1% of the limit
+const TINYLFU_WINDOW    = 0.01;
+// Frequency sketch: 4 rows of 4-bit counters (stored in bytes)
+const SKETCH_DEPTH      = 4;
+const SKETCH_MAX_COUNT  = 15;
+const SKETCH_MAX_WIDTH  = 1 << 20;
+// Counters in each row for each key in the cache, so keys used once only add a
+// little noise to the count of keys used often
+const SKETCH_KEY_WIDTH  = 16;
+const SKETCH_SEEDS      = [ 0x97CB3127, 0xB71C0A1B, 0xC2B2AE35, 0x27D4EB2F ];
+
+// Heap order for LFU: least frequently used first, then least recently used
+function compareFrequency(a, b) {
+  return (a.frequency - b.frequency) || (a.lastUsed - b.lastUsed);
+}
 
+// Hash any key into a 32-bit number.  Objects are hashed by identity.
+const objectIDs     = new WeakMap();
+let   lastObjectID  = 0;
 
-class Cache {
+function hashKey(key) {
+  const isObject = (key !== null && (typeof key === 'object' || typeof key === 'function'));
+  if (isObject) {
+    if (!objectIDs.has(key))
+      objectIDs.set(key, ++lastObjectID);
+    return Math.imul(objectIDs.get(key), 0x9E3779B1) >>> 0;
+  }
 
-  constructor(limit, source) {
-    this[_map]  = new Map();
-    this[_cost] = 0;
+  // FNV-1a
+  const string = (typeof key === 'string') ? key : `${typeof key}:${String(key)}`;
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < string.length; i++) {
+    hash = hash ^ string.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
 
-    if (limit && limit[Symbol.iterator]) {
-      source = limit;
-      limit  = (source instanceof Cache) ? source.limit : undefined;
+// Serializes key, so keys with the same structure serialize to the same string
+// (see Cache.structuralKey).  Arrays and plain objects are serialized by value,
+// with object properties sorted by name.  Strings are quoted, so they never
+// collide with other keys.  Other objects (class instances, functions, etc)
+// are serialized by identity.
+function serializeKey(key) {
+  if (typeof key === 'string')
+    return JSON.stringify(key);
+  if (typeof key === 'bigint')
+    return `${key}n`;
+  if (typeof key === 'symbol')
+    return key.toString();
+  if (key === null || (typeof key !== 'object' && typeof key !== 'function'))
+    return String(key);
+
+  if (Array.isArray(key))
+    return `[${Array.from(key, serializeKey).join(',')}]`;
+  if (key instanceof Date)
+    return `Date(${key.getTime()})`;
+
+  const prototype = Object.getPrototypeOf(key);
+  if (prototype === Object.prototype || prototype === null) {
+    const properties = Object.keys(key).sort().map(function(name) {
+      return `${JSON.stringify(name)}:${serializeKey(key[name])}`;
+    });
+    return `{${properties.join(',')}}`;
+  }
+
+  if (!objectIDs.has(key))
+    objectIDs.set(key, ++lastObjectID);
+  return `#${objectIDs.get(key)}`;
+}
+
+
+// A segment is an LRU list of links, used by eviction policies that split the
+// cache into several segments, and by partitions.  Each link belongs to at
+// most one segment of each kind, and points to it from its node (nodeProperty
+// is the name of the link property holding the node).
+class Segment {
+
+  constructor(nodeProperty) {
+    this.nodeProperty = nodeProperty || 'node';
+    this.head = null;
+    this.tail = null;
+    this.cost = 0;
+    this.size = 0;
+  }
+
+  // Returns the least recently used link in this segment, or undefined
+  leastRecent() {
+    return this.tail ? this.tail.link : undefined;
+  }
+
+  // Adds link as the most recently used in this segment
+  add(link) {
+    const node = { link, previous: null, next: this.head, segment: this };
+    if (this.head)
+      this.head.previous = node;
+    this.head = node;
+    if (!this.tail)
+      this.tail = node;
+    this.cost = this.cost + link.cost;
+    this.size++;
+    link[this.nodeProperty] = node;
+  }
+
+  remove(link) {
+    const node = link[this.nodeProperty];
+    if (!node || node.segment !== this)
+      return;
+
+    if (this.head === node)
+      this.head = node.next;
+    if (this.tail === node)
+      this.tail = node.previous;
+    if (node.next)
+      node.next.previous = node.previous;
+    if (node.previous)
+      node.previous.next = node.next;
+    this.cost = this.cost - link.cost;
+    this.size--;
+    link[this.nodeProperty] = null;
+  }
+
+  // Link becomes the most recently used in this segment
+  touch(link) {
+    this.remove(link);
+    this.add(link);
+  }
+
+}
+
+
+// Count-min sketch: approximately how often each key was used, in constant
+// memory.  Every so often all counters are halved, so keys that used to be
+// popular don't stay popular forever.
+class FrequencySketch {
+
+  constructor() {
+    this._resize(256);
+  }
+
+  // Grow the sketch as the cache grows
+  ensureCapacity(size) {
+    if (size * SKETCH_KEY_WIDTH > this.width && this.width < SKETCH_MAX_WIDTH)
+      this._grow();
+  }
+
+  increment(key) {
+    const hash = hashKey(key);
+    for (let row = 0; row < SKETCH_DEPTH; row++) {
+      const index = this._index(hash, row);
+      if (this.counters[index] < SKETCH_MAX_COUNT)
+        this.counters[index]++;
+    }
+
+    // Age once each counter was incremented once, on average
+    this.additions++;
+    if (this.additions >= this.width)
+      this._age();
+  }
+
+  frequency(key) {
+    const hash = hashKey(key);
+    let min = SKETCH_MAX_COUNT;
+    for (let row = 0; row < SKETCH_DEPTH; row++)
+      min = Math.min(min, this.counters[this._index(hash, row)]);
+    return min;
+  }
+
+  _index(hash, row) {
+    // Mix the hash differently for each row, and fold the high bits into the
+    // low bits we use for the index
+    let mixed = Math.imul(hash, SKETCH_SEEDS[row]);
+    mixed     = mixed ^ (mixed >>> 17);
+    return row * this.width + (mixed & (this.width - 1));
+  }
+
+  _age() {
+    for (let i = 0; i < this.counters.length; i++)
+      this.counters[i] = this.counters[i] >> 1;
+    this.additions = this.additions >> 1;
+  }
+
+  // Doubles the width, keeping all counts.  In each row, the counter of a key
+  // at index i moves to either i or i + width, so we copy it to both.
+  _grow() {
+    const width     = this.width;
+    const counters  = new Uint8Array(width * 2 * SKETCH_DEPTH);
+    for (let row = 0; row < SKETCH_DEPTH; row++) {
+      const from  = this.counters.subarray(row * width, (row + 1) * width);
+      const to    = row * width * 2;
+      counters.set(from, to);
+      counters.set(from, to + width);
+    }
+    this.width    = width * 2;
+    this.counters = counters;
+  }
+
+  _resize(width) {
+    this.width      = width;
+    this.counters   = new Uint8Array(width * SKETCH_DEPTH);
+    this.additions  = 0;
+  }
+
+}
+
+
+// Least recently used.  Evicts from the tail of the cache's own linked list, so
+// there's nothing else to keep track of.
+class LRUPolicy {
+
+  constructor(cache) {
+    this.cache = cache;
+  }
+
+  add() {
+  }
+
+  access() {
+  }
+
+  remove() {
+  }
+
+  clear() {
+  }
+
+  victim() {
+    return this.cache[_tail];
+  }
+
+}
+
+
+// Least frequently used.  Evicts the key with the fewest hits, and among these
+// the least recently used.  Keeps a heap, so each get is O(log N).
+class LFUPolicy {
+
+  constructor() {
+    this.heap   = new Heap(compareFrequency, 'lfuIndex');
+    this.clock  = 0;
+  }
+
+  add(link) {
+    link.frequency  = 1;
+    link.lastUsed   = ++this.clock;
+    this.heap.push(link);
+  }
+
+  access(link) {
+    link.frequency++;
+    link.lastUsed = ++this.clock;
+    this.heap.update(link);
+  }
+
+  remove(link) {
+    this.heap.remove(link);
+  }
+
+  clear() {
+    this.heap.clear();
+  }
+
+  victim() {
+    return this.heap.peek();
+  }
+
+}
+
+
+// Segmented LRU.  New keys start in the probation segment, and move to the
+// protected segment when used again.  We evict from probation first, so keys
+// that are only used once (e.g. a scan) don't push out keys used often.
+//
+// The protected segment holds up to 80% of the limit.  When it grows bigger,
+// its least recently used keys are moved back to probation.
+//
+// Share is the part of the cache limit this policy manages (see TinyLFU).
+class SLRUPolicy {
+
+  constructor(cache, share) {
+    this.cache      = cache;
+    this.share      = (share === undefined) ? 1 : share;
+    this.probation  = new Segment();
+    this.protected  = new Segment();
+  }
+
+  get cost() {
+    return this.probation.cost + this.protected.cost;
+  }
+
+  add(link) {
+    this.probation.add(link);
+  }
+
+  access(link) {
+    this.remove(link);
+    this.protected.add(link);
+
+    const protectedLimit = this.cache.limit * this.share * SLRU_PROTECTED;
+    while (this.protected.cost > protectedLimit && this.protected.head !== this.protected.tail) {
+      const demoted = this.protected.leastRecent();
+      this.protected.remove(demoted);
+      this.probation.add(demoted);
     }
-    this.limit = limit;
-    this.materialize = null;
+  }
+
+  remove(link) {
+    this.probation.remove(link);
+    this.protected.remove(link);
+  }
+
+  clear() {
+    this.probation  = new Segment();
+    this.protected  = new Segment();
+  }
+
+  victim() {
+    return this.probation.leastRecent() || this.protected.leastRecent();
+  }
+
+}
+
+
+// Window TinyLFU.  New keys start in a small LRU window (1% of the limit).
+// When the window is full, its least recently used key is a candidate to move
+// into the main cache (segmented LRU).  If the main cache is full, the
+// candidate has to be used more often than the key it would replace, otherwise
+// we evict the candidate instead.  A frequency sketch keeps track of how often
+// each key was used, including keys that are no longer in the cache.
+class TinyLFUPolicy {
+
+  constructor(cache) {
+    this.cache  = cache;
+    this.window = new Segment();
+    this.main   = new SLRUPolicy(cache, 1 - TINYLFU_WINDOW);
+    this.sketch = new FrequencySketch();
+    // Number of keys, including keys in all namespaces
+    this.count  = 0;
+  }
+
+  add(link) {
+    this.count++;
+    this.sketch.ensureCapacity(this.count);
+    this.sketch.increment(link.mapKey);
+    this.window.add(link);
+  }
+
+  access(link) {
+    this.sketch.increment(link.mapKey);
+    if (link.node && link.node.segment === this.window)
+      this.window.touch(link);
+    else
+      this.main.access(link);
+  }
+
+  remove(link) {
+    this.count--;
+    this.window.remove(link);
+    this.main.remove(link);
+  }
+
+  clear() {
+    this.count  = 0;
+    this.window = new Segment();
+    this.main.clear();
+  }
+
+  victim() {
+    const windowLimit = this.cache.limit * TINYLFU_WINDOW;
+    const mainLimit   = this.cache.limit - windowLimit;
+    // We evict before adding the new key, so a full window is at its limit
+    while (this.window.cost >= windowLimit && this.window.tail) {
+      const candidate = this.window.leastRecent();
+      const victim    = this.main.victim();
+      const hasRoom   = (this.main.cost + candidate.cost <= mainLimit);
+      if (!victim || hasRoom) {
+        this.window.remove(candidate);
+        this.main.add(candidate);
+        continue;
+      }
+
+      // Admission: candidate only gets in if it's used more often than the key
+      // it replaces
+      if (this.sketch.frequency(candidate.mapKey) > this.sketch.frequency(victim.mapKey)) {
+        this.window.remove(candidate);
+        this.main.add(candidate);
+        return victim;
+      } else
+        return candidate;
+    }
+    return this.main.victim() || this.window.leastRecent();
+  }
+
+}
+
+
+// Eviction policies by name
+const policies = {
+  lru:      LRUPolicy,
+  lfu:      LFUPolicy,
+  slru:     SLRUPolicy,
+  tinylfu:  TinyLFUPolicy
+};
+
+
+// Partition of the cache (see Cache.partition).  Keeps its own LRU list, so
+// when it goes over its limit we can evict its least recently used keys.
+class Partition {
+
+  constructor(name) {
+    this.name     = name;
+    // Maximum cost of all keys in this partition
+    this.limit    = Infinity;
+    // Keys in other partitions can't evict keys in this partition, while the
+    // cost of this partition is at or below this amount
+    this.reserved = 0;
+    this[_links]  = new Segment('partitionNode');
+  }
+
+  get cost() {
+    return this[_links].cost;
+  }
+
+  get size() {
+    return this[_links].size;
+  }
+
+}
+
+
+// Events the cache emits when a key leaves the cache, by dispose reason
+const removalEvents = {
+  lru:      'evict',
+  expired:  'expire',
+  deleted:  'delete',
+  rejected: 'delete',
+  cleared:  'delete'
+};
+
+
+class Cache extends EventEmitter {
+
+  // You can call this with:
+  //
+  //   new Cache(limit)
+  //   new Cache(limit, source)
+  //   new Cache(source)
+  //   new Cache(options)
+  //   new Cache(options, source)
+  //
+  // Source can be another cache (we copy its settings as well), a Map, or any
+  // iterator of name/value pairs.
+  //
+  // Options are the limit, the default cost, ttl and slidingTtl for set, and
+  // any of the cache properties (materialize, dispose, policy, etc).
+  constructor(limit, source) {
+    super();
+    this[_map]     = new Map();
+    this[_tags]    = new Map();
+    this[_namespaces] = new Map();
+    this[_partitions] = new Map();
+    this[_head]    = null;
+    this[_tail]    = null;
+    this[_cost]    = 0;
+    // Cost of keys held by this cache, not including namespaces
+    this[_ownCost] = 0;
+    this[_active]  = false;
+    this[_timer]   = null;
+    this[_sweepAt] = Infinity;
+    // Links that have an expiration, soonest to expire first
+    this[_expiring] = new Heap(compareExpires, 'heapIndex');
+    // Keys waiting for materializeMany
+    this[_batch]    = null;
+    // Abort controllers of materialize calls in progress
+    this[_pending]  = new Set();
+    // Write-behind: changes waiting to be written, and writes in progress
+    this[_writes]     = new Map();
+    this[_writing]    = new Map();
+    this[_writeTimer] = null;
+    // Two-tier cache: store requests in progress, and clearing the store
+    this[_storing]    = new Map();
+    this[_clearing]   = Promise.resolve();
+    // Only when collecting statistics
+    this[_stats]    = null;
+
+    let options;
+    if (limit && limit[Symbol.iterator]) {
+      source  = limit;
+      options = {};
+    } else if (limit !== null && typeof limit === 'object')
+      options = limit;
+    else
+      options = { limit };
+
+    // Cloning a cache also clones its settings, unless overridden by options
+    if (source instanceof Cache)
+      options = Object.assign(source._options(), options);
+
+    this.limit  = options.limit;
+    this.policy = options.policy || 'lru';
+    this.materialize     = options.materialize || null;
+    this.materializeMany = options.materializeMany || null;
+    this.dispose         = options.dispose || null;
+    this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+    this.rejectionTtl         = options.rejectionTtl;
+    this.shouldCacheRejection = options.shouldCacheRejection || null;
+    this.sizeOf               = options.sizeOf || null;
+    this.normalizeKey         = options.normalizeKey || null;
+    this.store                = options.store || null;
+    this.persist              = options.persist || null;
+    this.remove               = options.remove || null;
+    this.writeBehind          = options.writeBehind || 0;
+    this.materializeTimeout   = options.materializeTimeout || 0;
+    this.collectStats         = options.collectStats;
+    // Cache-wide defaults for set
+    this[_defaults] = {
+      cost:       options.cost,
+      ttl:        options.ttl,
+      slidingTtl: options.slidingTtl
+    };
 
     if (source instanceof Cache)
       this._cloneCache(source);
     else if (source)
       this._cloneIterator(source);
+
+    this.activeExpiration = options.activeExpiration;
+  }
+
+  // Returns all the settings of this cache, same as the constructor options.
+  // Except for the store: a clone sharing the store would clear or delete keys
+  // from the store of this cache.
+  _options() {
+    return {
+      limit:                this.limit,
+      cost:                 this[_defaults].cost,
+      ttl:                  this[_defaults].ttl,
+      slidingTtl:           this[_defaults].slidingTtl,
+      policy:               this.policy,
+      materialize:          this.materialize,
+      materializeMany:      this.materializeMany,
+      dispose:              this.dispose,
+      staleWhileRevalidate: this.staleWhileRevalidate,
+      rejectionTtl:         this.rejectionTtl,
+      shouldCacheRejection: this.shouldCacheRejection,
+      sizeOf:               this.sizeOf,
+      normalizeKey:         this.normalizeKey,
+      persist:              this.persist,
+      remove:               this.remove,
+      writeBehind:          this.writeBehind,
+      materializeTimeout:   this.materializeTimeout,
+      collectStats:         this.collectStats,
+      activeExpiration:     this.activeExpiration
+    };
   }
 
   _cloneIterator(source) {
     for (let entry of source)
-      this.set(entry[0], entry[1]);
+      this._set(entry[0], entry[1]);
   }
 
+  // Copies all links with their cost and expiration (Infinity means no
+  // expiration, so cache-wide defaults don't apply)
   _cloneCache(source) {
-    let link = source[_tail];
+    for (let partition of source[_partitions].values()) {
+      this.partition(partition.name, {
+        limit:    partition.limit,
+        reserved: partition.reserved
+      });
+    }
+
+    const now = Date.now();
+    let link  = source[_tail];
     while (link) {
-      this.set(link.key, link.value, link);
+      if (link.owner !== source) {
+        link = link.previous;
+        continue;
+      }
+      this._set(link.key, link.value, {
+        cost:       link.cost,
+        ttl:        (link.maxExpires < Infinity) ? link.maxExpires - now : Infinity,
+        slidingTtl: (link.slidingTtl === null) ? Infinity : link.slidingTtl,
+        tags:       link.tags,
+        partition:  link.partition ? link.partition.name : undefined
+      });
       link = link.previous;
     }
-    this.materialize = source.materialize;
   }
 
 
@@ -118,67 +919,671 @@ class Cache {
   }
 
 
+  get policy() {
+    return this[_policyName];
+  }
+
+  // Sets the eviction policy: 'lru' (default), 'lfu', 'slru' or 'tinylfu'.  You
+  // can also use your own policy class, see above for the interface.
+  set policy(value) {
+    const Policy = (typeof value === 'function') ? value : policies[value];
+    if (!Policy)
+      throw new TypeError(`No such eviction policy: ${value}`);
+
+    // Tell the new policy about existing links, from least to most recent
+    const policy = new Policy(this);
+    let link = this[_tail];
+    while (link) {
+      policy.add(link);
+      link = link.previous;
+    }
+    this[_policy]     = policy;
+    this[_policyName] = value;
+  }
+
+
+  get activeExpiration() {
+    return this[_active];
+  }
+
+  // When true, a timer evicts keys around the time they expire, instead of
+  // waiting for them to be evicted lazily
+  set activeExpiration(value) {
+    if (value) {
+      this[_active] = true;
+      this._sweep();
+    } else
+      this.stop();
+  }
+
+  // Stops active expiration
+  stop() {
+    this[_active] = false;
+    clearTimeout(this[_timer]);
+    this[_timer]   = null;
+    this[_sweepAt] = Infinity;
+  }
+
+  get collectStats() {
+    return !!this[_stats];
+  }
+
+  // When true, the cache counts hits, misses, evictions, etc.  Turned off by
+  // default, so we don't pay for counting.
+  set collectStats(value) {
+    if (!value)
+      this[_stats] = null;
+    else if (!this[_stats])
+      this[_stats] = newStats();
+  }
+
+  // Returns cache statistics, or null if not collecting statistics
+  stats() {
+    const stats = this[_stats];
+    if (!stats)
+      return null;
+
+    const lookups = stats.hits + stats.misses;
+    return {
+      hits:             stats.hits,
+      misses:           stats.misses,
+      stale:            stats.stale,
+      materializations: stats.materializations,
+      failures:         stats.failures,
+      sets:             stats.sets,
+      evictions:        Object.assign({}, stats.evictions),
+      hitRatio:         lookups ? stats.hits / lookups : 0,
+      size:             this.size,
+      cost:             this.cost,
+      limit:            this.limit,
+      costRatio:        this.limit ? this.cost / this.limit : 0
+    };
+  }
+
+  // Resets all the counters back to zero
+  resetStats() {
+    if (this[_stats])
+      this[_stats] = newStats();
+  }
+
+
+  // Evicts all expired keys, and schedules the next sweep for the next key to
+  // expire.
+  _sweep() {
+    clearTimeout(this[_timer]);
+    this[_timer]   = null;
+    this[_sweepAt] = Infinity;
+
+    // Stale keys stay around until we can no longer serve them
+    const expiring = this[_expiring];
+    while (expiring.size && this._staleUntil(expiring.peek()) <= Date.now())
+      this._deleteLink(expiring.peek(), 'expired');
+
+    const next = expiring.peek();
+    this._scheduleSweep(next ? this._staleUntil(next) : Infinity);
+  }
+
+  // Makes sure we sweep no later than this time (timestamp).
+  _scheduleSweep(expires) {
+    const alreadyScheduled = (this[_sweepAt] <= expires);
+    if (!this[_active] || expires === Infinity || alreadyScheduled)
+      return;
+
+    const self  = this;
+    const delay = Math.min(Math.max(expires - Date.now(), 0), MAX_TIMEOUT);
+    clearTimeout(this[_timer]);
+    this[_sweepAt] = expires;
+    this[_timer]   = setTimeout(function() {
+      self._sweep();
+    }, delay);
+    // Never keep the process alive just to expire keys
+    this[_timer].unref();
+  }
+
+
   clear() {
+    // Abort all materialize calls in progress
+    for (let controller of this[_pending])
+      controller.abort();
+    this[_pending].clear();
+    // Clearing doesn't call remove, but we still write changes we didn't write
+    // yet (see writeBehind)
+
+    // Hold on to the links, so we can dispose of them after the cache is empty
+    const keepLinks = (this.dispose || this.listenerCount('delete'));
+    const links     = keepLinks ? Array.from(this[_map].values()) : [];
+
+    // The list also holds keys from other namespaces, we can only remove our
+    // own keys, one by one
+    if (this[_namespaces].size) {
+      for (let link of this[_map].values())
+        this._unlink(link);
+      this._clearStore();
+      this._emitClear(links);
+      for (let link of links)
+        this._dispose(link, 'cleared');
+      return;
+    }
+
     this[_map].clear();
+    this[_tags].clear();
+    for (let partition of this[_partitions].values())
+      partition[_links] = new Segment('partitionNode');
+    this[_expiring].clear();
+    this[_policy].clear();
     this[_cost] = 0;
+    this[_ownCost] = 0;
     this[_head] = null;
     this[_tail] = null;
+
+    this._clearStore();
+    this._emitClear(links);
+    for (let link of links)
+      this._dispose(link, 'cleared');
+  }
+
+  // Emits delete event for each key we just cleared, and then clear event
+  _emitClear(links) {
+    if (this.listenerCount('delete')) {
+      for (let link of links)
+        this._emitRemoval(link, 'cleared');
+    }
+    if (this.listenerCount('clear'))
+      this.emit('clear');
   }
 
 
   delete(key) {
-    const link = this[_map].get(key);
-    if (!link)
+    if (this.remove)
+      this._write(key, true);
+
+    const link = this[_map].get(this._mapKey(key));
+    if (!link) {
+      // The key may still be in the store, or in other caches (see replicate)
+      if (this.store)
+        this._updateStore({ owner: this, key, mapKey: this._mapKey(key) }, 'deleted');
+      if (this.listenerCount('delete'))
+        this.emit('delete', { key, reason: 'deleted' });
       return false;
+    }
+
+    this._deleteLink(link, 'deleted');
+    return true;
+  }
 
+
+  // Removes link from the cache, then disposes of its value.  The reason is
+  // one of 'lru', 'expired', 'deleted', 'rejected', 'replaced' or 'cleared'.
+  _deleteLink(link, reason) {
+    this._unlink(link);
+    const stats = this[_stats];
+    if (stats && (reason === 'lru' || reason === 'expired'))
+      stats.evictions[reason]++;
+    this._emitRemoval(link, reason);
+    this._updateStore(link, reason);
+    if (reason === 'deleted')
+      this._abort(link);
+    this._dispose(link, reason);
+  }
+
+  // Aborts materialize, if this link holds a promise still materializing, or
+  // is still revalidating a stale value
+  _abort(link) {
+    for (let promise of [ link.value, link.revalidating ]) {
+      const controller = abortControllers.get(promise);
+      if (controller && link.owner[_pending].has(controller))
+        controller.abort();
+    }
+  }
+
+  // Emits evict, expire or delete event from the cache or namespace holding
+  // this link.  If nobody is listening, we don't even create the event.
+  _emitRemoval(link, reason) {
+    const owner = link.owner;
+    const event = removalEvents[reason];
+    if (owner.listenerCount(event)) {
+      owner.emit(event, {
+        key:    link.key,
+        value:  link.value,
+        cost:   link.cost,
+        reason
+      });
+    }
+  }
+
+  // Removes link from the linked list, the map and the expiration heap, and
+  // discounts its cost.  The link may belong to a namespace (see namespace),
+  // so we remove it from its owner's map.
+  _unlink(link) {
     this._removeFromList(link);
-    this[_map].delete(key);
+    link.owner[_map].delete(link.mapKey);
+    link.owner._untag(link);
+    this[_expiring].remove(link);
+    this[_policy].remove(link);
+    if (link.partition)
+      link.partition[_links].remove(link);
 
     // Discount
     this[_cost] = this[_cost] - link.cost;
+    link.owner[_ownCost] = link.owner[_ownCost] - link.cost;
+  }
 
-    return true;
+  // Tag index: maps each tag to the set of links carrying that tag
+  _tag(link) {
+    for (let tag of link.tags) {
+      const links = this[_tags].get(tag);
+      if (links)
+        links.add(link);
+      else
+        this[_tags].set(tag, new Set([ link ]));
+    }
+  }
+
+  _untag(link) {
+    for (let tag of link.tags) {
+      const links = this[_tags].get(tag);
+      links.delete(link);
+      if (links.size === 0)
+        this[_tags].delete(tag);
+    }
+  }
+
+  // Deletes all keys that have this tag.  Returns the number of keys deleted.
+  invalidateTag(tag) {
+    const links = this[_tags].get(tag);
+    if (!links)
+      return 0;
+
+    // Deleting a link removes it from the set we're iterating over
+    const deleted = Array.from(links);
+    for (let link of deleted)
+      this._deleteLink(link, 'deleted');
+    return deleted.length;
+  }
+
+
+  // Write-through and write-behind: every set calls persist, and every delete
+  // calls remove.  With write-behind, we hold on to changes, one per key (the
+  // last one wins), and write them all every so often.
+  _write(key, remove, value) {
+    if (!this.writeBehind) {
+      this._writeNow(key, remove, value);
+      return;
+    }
+
+    const self    = this;
+    const mapKey  = this._mapKey(key);
+    // Latest change goes to the end of the queue
+    this[_writes].delete(mapKey);
+    this[_writes].set(mapKey, { key, remove, value });
+    if (!this[_writeTimer]) {
+      this[_writeTimer] = setTimeout(function() {
+        self.flush();
+      }, this.writeBehind);
+      // Never keep the process alive just to write changes, use flush
+      this[_writeTimer].unref();
+    }
+  }
+
+  // Calls persist or remove.  Writes for the same key happen in order, so a
+  // slow write never overwrites a later one.  The write promise never
+  // rejects, errors are reported as events.
+  _writeNow(key, remove, value) {
+    const self      = this;
+    const mapKey    = this._mapKey(key);
+    const writing   = this[_writing];
+    const previous  = writing.get(mapKey) || Promise.resolve();
+    const write     = previous
+      .then(function() {
+        if (remove)
+          return self.remove.call(self, key);
+        else
+          return self.persist.call(self, key, value);
+      })
+      .catch(function(error) {
+        self._persistError(error, key, remove ? 'remove' : 'persist');
+      })
+      .then(function() {
+        if (writing.get(mapKey) === write)
+          writing.delete(mapKey);
+      });
+    writing.set(mapKey, write);
+  }
+
+  // Emits persistError event.  If nobody listens to these, emits an error
+  // event instead, and same as any EventEmitter, without an error listener
+  // that throws.  We emit on next tick, so it doesn't end up as a rejected
+  // promise.
+  _persistError(error, key, operation) {
+    const self = this;
+    process.nextTick(function() {
+      if (self.listenerCount('persistError'))
+        self.emit('persistError', { key, error, operation });
+      else
+        self.emit('error', error);
+    });
+  }
+
+  // Writes all changes now (write-behind), and returns a promise that resolves
+  // once all writes complete, including writes to the store of a two-tier
+  // cache.  Call this before shutting down.
+  flush() {
+    clearTimeout(this[_writeTimer]);
+    this[_writeTimer] = null;
+
+    const writes  = this[_writes];
+    this[_writes] = new Map();
+    for (let write of writes.values())
+      this._writeNow(write.key, write.remove, write.value);
+
+    const pending = Array.from(this[_writing].values())
+      .concat(Array.from(this[_storing].values()), this[_clearing]);
+    return Promise.all(pending)
+      .then(function() {});
+  }
+
+
+  // Two-tier cache: keys evicted from memory move to the store, and keys
+  // deleted or expired are also deleted from the store.  Pending promises (e.g.
+  // still materializing) have nothing to move to the store.
+  _updateStore(link, reason) {
+    const owner = link.owner;
+    const store = owner.store;
+    if (!store)
+      return;
+
+    const mapKey = link.mapKey;
+    if (reason === 'lru') {
+      const value   = link.value;
+      const promise = isPromise(value);
+      if (promise && !resolvedValues.has(value))
+        return;
+      const record  = {
+        value:    promise ? resolvedValues.get(value) : value,
+        cost:     link.cost,
+        // JSON doesn't do Infinity
+        expires:  (link.expires < Infinity) ? link.expires : null
+      };
+      owner._storeRequest(mapKey, link.key, function() {
+        return store.set(mapKey, record);
+      });
+    } else if (reason === 'deleted' || reason === 'expired') {
+      owner._storeRequest(mapKey, link.key, function() {
+        return store.delete(mapKey);
+      });
+    }
+  }
+
+  // Store requests for the same key happen in order, after clearing the store,
+  // so a slow write never brings back a key we deleted after it.  Resolves to
+  // the result of the request, or undefined if it failed (errors are reported
+  // as events).
+  _storeRequest(mapKey, key, request) {
+    const self      = this;
+    const storing   = this[_storing];
+    const previous  = storing.get(mapKey) || this[_clearing];
+    const result    = previous
+      .then(request)
+      .catch(function(error) {
+        self._storeError(error, key);
+      });
+    storing.set(mapKey, result);
+    result.then(function() {
+      if (storing.get(mapKey) === result)
+        storing.delete(mapKey);
+    });
+    return result;
+  }
+
+  // Clears the store once all requests in progress complete
+  _clearStore() {
+    const self  = this;
+    const store = this.store;
+    if (!store)
+      return;
+
+    const pending     = Array.from(this[_storing].values()).concat(this[_clearing]);
+    this[_storing]    = new Map();
+    this[_clearing]   = Promise.all(pending)
+      .then(function() {
+        return store.clear();
+      })
+      .catch(function(error) {
+        self._storeError(error);
+      });
+  }
+
+  // Store errors don't fail the cache, but you can listen to them
+  _storeError(error, key) {
+    if (this.listenerCount('storeError'))
+      this.emit('storeError', { key, error });
+  }
+
+  // Returns a materialize function that looks for the key in the store first,
+  // and only calls materialize if not found there.  Without a materialize
+  // function, a key not found in the store is not cached (TTL of zero).
+  _materializeFromStore(materialize) {
+    const self  = this;
+    const store = this.store;
+    return function(key, options) {
+      const mapKey = self._mapKey(key);
+      return self._storeRequest(mapKey, key, function() {
+        return store.get(mapKey);
+      })
+        .then(function(record) {
+          const now       = Date.now();
+          const expires   = (record && Number.isFinite(record.expires)) ? record.expires : Infinity;
+          if (record && expires > now) {
+            options.cost  = record.cost;
+            options.ttl   = expires - now;
+            return record.value;
+          }
+
+          if (record)
+            self._updateStore({ owner: self, key, mapKey }, 'expired');
+          if (materialize)
+            return materialize.call(self, key, options);
+          options.ttl = 0;
+          return undefined;
+        });
+    };
+  }
+
+
+  // Calls the dispose function with the value that just left the cache.
+  //
+  // If the value is a promise (e.g. from materialize), we wait for it to
+  // resolve and dispose of the resolved value.  A rejected promise has nothing
+  // to dispose of.
+  _dispose(link, reason) {
+    const self    = link.owner;
+    const dispose = self.dispose;
+    if (!dispose)
+      return;
+
+    function callDispose(value) {
+      try {
+        dispose.call(self, value, link.key, reason);
+      } catch (error) {
+        self._callbackError(error);
+      }
+    }
+
+    const value = link.value;
+    if (isPromise(value))
+      value.then(callDispose, function() {});
+    else
+      callDispose(value);
+  }
+
+  // Errors from dispose (or from listeners we call from a promise callback)
+  // don't stop us from removing (and disposing of) other keys.  We emit them as
+  // error events on next tick, so they never end up as rejected promises, and
+  // same as any EventEmitter, without an error listener that throws.
+  _callbackError(error) {
+    const self = this;
+    process.nextTick(function() {
+      self.emit('error', error);
+    });
   }
 
 
-  // Evicts as many expired entries an least recently used entries to keep
-  // cache under limit.  This can be O(N) as it may iterate over the entire
-  // cache twice, but in practice we generally evict as many entries as we add,
-  // so viewed over long time horizon, this is an O(1) operation.
-  _evict(limit) {
+  // Evicts as many expired entries and entries picked by the eviction policy
+  // (least recently used by default) to keep cache under limit.  Each expired
+  // entry costs O(log N) to find and remove, and in practice we generally evict
+  // as many entries as we add, so viewed over long time horizon, this is an
+  // O(log N) operation.
+  //
+  // Partition is the partition of the key we're making room for, if any.
+  _evict(limit, partition) {
     // Only evicts enough expired keys to make room for new key, if you need to
-    // evict all expired keys, use the iterator.
-    for (let link of this[_map].values()) {
-      if (this[_cost] <= limit)
+    // evict all expired keys, use the iterator.  The soonest to expire is
+    // always at the top of the heap.
+    const expiring = this[_expiring];
+    while (this[_cost] > limit && expiring.size && hasExpired(expiring.peek()))
+      this._deleteLink(expiring.peek(), 'expired');
+
+    // This is potentially O(N), but in practice we usually evict as many
+    // entries as we add, so evict is O(1) spread over time.  Whatever the
+    // policy, we report these as 'lru' evictions.
+    while (this[_head] && this[_cost] > limit) {
+      const victim = this._victim(partition);
+      if (!victim)
         break;
-      if (hasExpired(link))
-        this.delete(link.key);
+      this._deleteLink(victim, 'lru');
     }
+  }
 
-    // Remove from the tail is potentiall O(N), we in practice we usually evict
-    // as many entries as we add, so evict is O(1) spread over time
-    while (this.size && this[_cost] > limit) {
-      const leastRecent = this[_tail];
-      this.delete(leastRecent.key);
-    }
+  // Evicts least recently used keys in this partition to keep it under limit
+  _evictPartition(partition, limit) {
+    while (partition.cost > limit)
+      this._deleteLink(partition[_links].leastRecent(), 'lru');
+  }
+
+  // The eviction policy picks the victim, unless that would take another
+  // partition below its reserved cost.  Then we pick the least recently used
+  // key we're allowed to evict, which is O(N).
+  _victim(partition) {
+    const victim = this[_policy].victim();
+    if (canEvict(victim, partition))
+      return victim;
+
+    let link = this[_tail];
+    while (link && !canEvict(link, partition))
+      link = link.previous;
+    return link;
   }
 
 
   // Returns the key value if set and not evicted yet.
   get(key) {
-    const link = this[_map].get(key);
+    const materialize = this.materializeMany ? this._queueMaterialize : this.materialize;
+    return this._getOrMaterialize(key, materialize);
+  }
+
+  // Returns a promise that resolves to the values of all these keys.  Missing
+  // keys are materialized, and if there's a materializeMany function, all in
+  // one call.
+  getMany(keys) {
+    const self = this;
+    return Promise.all(Array.from(keys, function(key) {
+      return self.get(key);
+    }));
+  }
+
+  // Returns the key value if set and not evicted yet.  Otherwise, calls the
+  // factory function to materialize the value, same as the materialize
+  // function (see get), but with different options for each call.
+  //
+  // Options are the same as for set, and the factory can change them, same as
+  // materialize.
+  getOrSet(key, factory, options) {
+    if (typeof factory !== 'function')
+      throw new TypeError('Factory must be a function');
+    return this._getOrMaterialize(key, factory, options);
+  }
+
+  _getOrMaterialize(key, materialize, defaults) {
+    const link  = this[_map].get(this._mapKey(key));
+    const stats = this[_stats];
     // Although we do have the value, the contract is that we don't return
     // expired values
     if (link && !hasExpired(link)) {
-      this._moveLinkToHead(link);
+      if (stats)
+        stats.hits++;
+      if (this.listenerCount('hit'))
+        this.emit('hit', { key, value: link.value, cost: link.cost, stale: false });
+      this._access(link);
+      this._slide(link);
       return link.value;
-    } else if (this.materialize)
-      return this._materializeAndCache(key);
+    } else if (link && materialize && this._isStale(link)) {
+      // We're allowed to return the stale value, while we materialize a fresh
+      // one in the background
+      if (stats) {
+        stats.hits++;
+        stats.stale++;
+      }
+      if (this.listenerCount('hit'))
+        this.emit('hit', { key, value: link.value, cost: link.cost, stale: true });
+      this._revalidate(link, materialize, defaults);
+      this._access(link);
+      return link.value;
+    }
+
+    if (stats)
+      stats.misses++;
+    if (this.listenerCount('miss'))
+      this.emit('miss', { key });
+    if (this.store)
+      return this._materializeAndCache(key, this._materializeFromStore(materialize), defaults);
+    else if (materialize)
+      return this._materializeAndCache(key, materialize, defaults);
     else
       return undefined;
   }
 
 
+  // Stale while revalidate: for this long (milliseconds) after a key expires,
+  // get returns the stale value and materializes a fresh one.
+  //
+  // Returns the time (timestamp) after which we can no longer return this
+  // link, not even as a stale value.
+  _staleUntil(link) {
+    return link.expires + (link.owner.staleWhileRevalidate || 0);
+  }
+
+  // Returns true if the link has expired, but we can still return it
+  _isStale(link) {
+    return hasExpired(link) && (this._staleUntil(link) > Date.now());
+  }
+
+
+  // Returns the key we use for the map.  With a normalizeKey function, two keys
+  // that normalize to the same value are the same key (e.g. see
+  // Cache.structuralKey).
+  _mapKey(key) {
+    return this.normalizeKey ? this.normalizeKey(key) : key;
+  }
+
+  // Link was just retrieved: it becomes the most recently used, and the
+  // eviction policy gets to count it
+  _access(link) {
+    link.accessed = Date.now();
+    this._moveLinkToHead(link);
+    this[_policy].access(link);
+    if (link.partition)
+      link.partition[_links].touch(link);
+  }
+
+  // Sliding TTL: every time we retrieve the key, its expiration moves forward,
+  // but never past the TTL
+  _slide(link) {
+    if (link.slidingTtl === null)
+      return;
+    link.expires = Math.min(Date.now() + link.slidingTtl, link.maxExpires);
+    this[_expiring].update(link);
+  }
+
   _moveLinkToHead(link) {
     // Link becomes most recently used
     const mostRecent = (this[_head] === link);
@@ -193,39 +1598,296 @@ class Cache {
   }
 
 
-  _materializeAndCache(key) {
+  // Materialize receives the key, and an options object.  It can set the cost
+  // and TTL for that key (same options as set), and we'll apply them once the
+  // promise resolves.
+  _callMaterialize(key, materialize, options) {
+    const self        = this;
+    // Node 15 and later
+    const controller  = (typeof AbortController === 'function') ? new AbortController() : null;
+    const timeout     = this.materializeTimeout;
+    // Materialize can pass this signal along (e.g. to fetch), we abort it on
+    // timeout, or when deleting the key
+    if (controller)
+      options.signal  = controller.signal;
+    const materialized = Promise.resolve(key).then(function() {
+      return materialize.call(self, key, options);
+    });
+
+    let timer = null;
+    const promise = (timeout > 0) ? new Promise(function(resolve, reject) {
+      timer = setTimeout(function() {
+        const error = new Error(`Materialize timed out after ${timeout}ms`);
+        error.code  = 'ETIMEDOUT';
+        if (controller)
+          controller.abort(error);
+        reject(error);
+      }, timeout);
+      materialized.then(resolve, reject);
+    }) : materialized;
+
+    if (controller) {
+      this[_pending].add(controller);
+      abortControllers.set(promise, controller);
+    }
+    function settled() {
+      clearTimeout(timer);
+      self[_pending].delete(controller);
+    }
+
+    // A throwing listener would reject this promise, and nobody handles that
+    function emit(name, event) {
+      try {
+        self.emit(name, event);
+      } catch (error) {
+        self._callbackError(error);
+      }
+    }
+
+    promise.then(function(value) {
+      settled();
+      resolvedValues.set(promise, value);
+      if (self.listenerCount('materialize'))
+        emit('materialize', { key, value });
+    }, function(error) {
+      settled();
+      if (self.listenerCount('materializeError'))
+        emit('materializeError', { key, error });
+    });
+
+    const stats = this[_stats];
+    if (stats) {
+      stats.materializations++;
+      promise.catch(function() {
+        // Statistics may have been reset or turned off in the meantime
+        if (self[_stats])
+          self[_stats].failures++;
+      });
+    }
+    return promise;
+  }
+
+  _materializeAndCache(key, materialize, defaults) {
     const self    = this;
-    const promise = Promise.resolve(key).then(this.materialize);
+    const options = Object.assign({}, defaults);
+    const promise = this._callMaterialize(key, materialize, options);
+
+    // Only if the key still holds this promise
+    function isCached() {
+      const entry = self[_map].get(self._mapKey(key));
+      return (entry && entry.value === promise);
+    }
+
+    function setIfResolved(value) {
+      if (!isCached())
+        return;
+      self._costResolved(key, value, options);
+      const defaults   = self[_defaults];
+      const hasOptions = (options.cost !== undefined ||
+                          options.tags !== undefined ||
+                          options.partition !== undefined ||
+                          optionOrDefault(options, defaults, 'ttl') !== undefined ||
+                          optionOrDefault(options, defaults, 'slidingTtl') !== undefined);
+      if (hasOptions)
+        self._set(key, promise, options);
+    }
 
-    function deleteIfRejected() {
-      const entry = self[_map].get(key);
-      if (entry && entry.value === promise)
-        self.delete(key);
+    // Negative caching: we may hold on to the rejected promise for a while,
+    // so we don't hammer a failing service with retries
+    function deleteIfRejected(error) {
+      if (!isCached())
+        return;
+      if (self._cacheRejection(error, key))
+        self._set(key, promise, {
+          cost:       options.cost,
+          ttl:        self.rejectionTtl,
+          slidingTtl: Infinity,
+          tags:       options.tags,
+          partition:  options.partition
+        });
+      else
+        self._deleteLink(self[_map].get(self._mapKey(key)), 'rejected');
     }
 
-    this.set(key, promise);
-    promise.catch(deleteIfRejected);
+    // TTL only starts counting once the promise resolves
+    this.set(key, promise, {
+      cost:       options.cost,
+      ttl:        Infinity,
+      slidingTtl: Infinity,
+      tags:       options.tags,
+      partition:  options.partition
+    });
+    promise.then(setIfResolved, deleteIfRejected);
     return promise;
   }
 
+  // Used in place of materialize when there's a materializeMany function.
+  //
+  // We queue all the keys we need to materialize in the same tick, and call
+  // materializeMany once with all these keys, and their options.  It should
+  // return an array (or a promise that resolves to an array), with one value
+  // for each key.  If any of these values is an Error, only that key fails.
+  _queueMaterialize(key, options) {
+    const self = this;
+    if (!this[_batch]) {
+      const batch = { keys: [], options: [], callbacks: [] };
+      this[_batch] = batch;
+      process.nextTick(function() {
+        self._materializeBatch(batch);
+      });
+    }
+
+    const batch = this[_batch];
+    return new Promise(function(resolve, reject) {
+      batch.keys.push(key);
+      batch.options.push(options);
+      batch.callbacks.push({ resolve, reject });
+    });
+  }
+
+  _materializeBatch(batch) {
+    const self            = this;
+    const materializeMany = this.materializeMany;
+    const callbacks       = batch.callbacks;
+    this[_batch]          = null;
+
+    function resolveEach(values) {
+      if (!Array.isArray(values) || values.length !== batch.keys.length)
+        throw new TypeError('materializeMany must return an array with one value for each key');
+      values.forEach(function(value, index) {
+        if (value instanceof Error)
+          callbacks[index].reject(value);
+        else
+          callbacks[index].resolve(value);
+      });
+    }
+
+    // Promises that already resolved will ignore this
+    function rejectAll(error) {
+      for (let callback of callbacks)
+        callback.reject(error);
+    }
+
+    Promise.resolve()
+      .then(function() {
+        return materializeMany.call(self, batch.keys, batch.options);
+      })
+      .then(resolveEach)
+      .catch(rejectAll);
+  }
+
+  // Once a materialized promise resolves, we can use sizeOf to calculate its
+  // cost from the resolved value, unless materialize already set the cost
+  _costResolved(key, value, options) {
+    if (options.cost === undefined && this.sizeOf)
+      options.cost = this.sizeOf(value, key);
+  }
+
+  // Returns true if we should keep this rejected promise in the cache (for
+  // rejectionTtl).  Rejections are not cached unless rejectionTtl is set, and
+  // then shouldCacheRejection(error, key) can pick which errors to cache.
+  _cacheRejection(error, key) {
+    if (!Number.isInteger(this.rejectionTtl))
+      return false;
+    return this.shouldCacheRejection ? !!this.shouldCacheRejection(error, key) : true;
+  }
+
+  // Materializes a fresh value for a stale link.  Until the new value resolves,
+  // we keep the stale value.  If materialize fails, we also keep the stale
+  // value, and try again next time.
+  _revalidate(link, materialize, defaults) {
+    if (link.revalidating)
+      return;
+
+    const self    = this;
+    const key     = link.key;
+    const options = Object.assign({}, defaults);
+    // The fresh value keeps the tags and partition of the stale one, unless
+    // materialize sets other ones
+    if (options.tags === undefined)
+      options.tags = link.tags;
+    if (options.partition === undefined && link.partition)
+      options.partition = link.partition.name;
+    const promise = this._callMaterialize(key, materialize, options);
+
+    function setIfResolved(value) {
+      // Only if nobody changed the key in the meantime
+      if (self[_map].get(self._mapKey(key)) === link) {
+        self._costResolved(key, value, options);
+        self._set(key, promise, options);
+      }
+    }
+
+    function retryIfRejected() {
+      link.revalidating = null;
+    }
+
+    link.revalidating = promise;
+    promise.then(setIfResolved, retryIfRejected);
+  }
+
 
   // Returns true if key has been set and not evicted yet.
   has(key) {
-    const link = this[_map].get(key);
+    const link = this[_map].get(this._mapKey(key));
     if (!link)
       return false;
     return !hasExpired(link);
   }
 
 
+  // Returns the key value, same as get, but doesn't change the key's position
+  // in the LRU order, and doesn't materialize missing keys.
+  peek(key) {
+    const link = this[_map].get(this._mapKey(key));
+    if (link && !hasExpired(link))
+      return link.value;
+    else
+      return undefined;
+  }
+
+  // Returns information about the key, without changing the key's position in
+  // the LRU order, or materializing missing keys.  Returns an object with the
+  // properties:
+  //
+  // key      - The key
+  // value    - The key value
+  // cost     - Cost of this key
+  // ttl      - Remaining time to live (milliseconds), or Infinity
+  // created  - When the key was set (timestamp)
+  // accessed - When the key was last set or retrieved (timestamp)
+  //
+  // Returns undefined if the key is not set, or has expired.
+  getEntry(key) {
+    const link = this[_map].get(this._mapKey(key));
+    if (!link || hasExpired(link))
+      return undefined;
+    return {
+      key:      link.key,
+      value:    link.value,
+      cost:     link.cost,
+      ttl:      link.expires - Date.now(),
+      created:  link.created,
+      accessed: link.accessed
+    };
+  }
+
+
   *entries() {
     let link = this[_head];
     while (link) {
-      // We take this opportunity to get rid of expired keys
-      if (hasExpired(link))
-        this.delete(link.key);
-      else
+      // Skip keys from other namespaces
+      if (link.owner !== this) {
+        link = link.next;
+        continue;
+      }
+
+      // We take this opportunity to get rid of expired keys, but we keep stale
+      // keys we can still serve while revalidating
+      if (!hasExpired(link))
         yield [link.key, link.value];
+      else if (!this._isStale(link))
+        this._deleteLink(link, 'expired');
       link = link.next;
     }
   }
@@ -254,34 +1916,91 @@ class Cache {
   // Each key is associated with a cost.  The cost is a positive number, and
   // the default value is 1.  When the total cost is higher than the cache
   // limit, it will start evicting least recently used values.  You can use a
-  // cost of zero to keep the key indefinitely (or until it expires).
+  // cost of zero to keep the key indefinitely (or until it expires).  If you
+  // don't specify the cost, and the cache has a sizeOf function, we use that.
   //
   // Each key has a TTL associated with it.  Expired keys are evicted first to
   // make room for new keys.
   //
-  // The following two are equivalent:
+  // With sliding TTL, the key expires if not retrieved (get) for that long.
+  // Each get pushes the expiration forward, but never past the TTL.
+  //
+  // Tags let you delete a group of keys at once (see invalidateTag).
+  //
+  // A key can belong to a partition, which has its own limit (see partition).
+  //
+  // Without cache-wide defaults, the following two are equivalent:
   //
   //   set(key, value)
   //   set(key, value, { cost: 1, ttl: Infinity })
   set(key, value, options) {
-    const cost      = actualCost(options && options.cost);
-    const expires   = ttlToExpires(options && options.ttl);
+    // Write-through and write-behind, whether or not we keep the key in memory
+    if (this.persist && !isPromise(value))
+      this._write(key, false, value);
+
+    const link = this._set(key, value, options);
+    if (link) {
+      if (this.listenerCount('set'))
+        this.emit('set', { key, value, cost: link.cost });
+      if (this[_stats])
+        this[_stats].sets++;
+    } else if (this.store && !isPromise(value)) {
+      // We didn't keep the new value (e.g. TTL of zero, or too big), so we
+      // don't want to find the old one in the store.  (A promise is
+      // materializing, and about to look for the key in the store.)
+      this._updateStore({ owner: this, key, mapKey: this._mapKey(key) }, 'deleted');
+    }
+    // Map allows you to chain calls to set()
+    return this;
+  }
 
-    this.delete(key);
+  // Same as set, but doesn't persist, emit set event, or count as a set in
+  // statistics.  Copying or loading a cache is not a change, and neither is
+  // re-costing a materialized promise.  Returns the new link, or null if the
+  // cache didn't keep the key.
+  _set(key, value, options) {
+    // Same clock for all timestamps, so a sliding TTL equal to the TTL expires
+    // at the same time
+    const now         = Date.now();
+    const defaults    = this[_defaults];
+    const cost        = this._costOf(key, value, options);
+    const maxExpires  = ttlToExpires(optionOrDefault(options, defaults, 'ttl'), now);
+    const slidingTtl  = optionOrDefault(options, defaults, 'slidingTtl');
+    const expires     = Math.min(maxExpires, ttlToExpires(slidingTtl, now));
+
+    // Setting the same value again (e.g. re-costing a materialized promise)
+    // doesn't dispose of it, and doesn't count as creating a new entry
+    const mapKey    = this._mapKey(key);
+    const previous  = this[_map].get(mapKey);
+    const sameValue = (previous && previous.value === value);
+    if (previous) {
+      this._unlink(previous);
+      if (!sameValue)
+        this._dispose(previous, 'replaced');
+    }
 
     // If TTL is zero we're never going to return this key, we don't want to
     // evict older keys either
-    if (expires <= Date.now())
-      return this;
+    if (expires <= now)
+      return null;
 
     // If this key can't fit, we don't want to evict other keys to make room
-    const canHoldKey = (cost <= this.limit);
+    const hasPartition  = (options && options.partition !== undefined);
+    const partition     = hasPartition ? this.partition(options.partition) : null;
+    const canHoldKey    = (cost <= this.limit) && (!partition || cost <= partition.limit);
     if (!canHoldKey)
-      return this;
+      return null;
+
+    // A partition over its limit evicts its own keys first
+    if (partition)
+      this._evictPartition(partition, partition.limit - cost);
 
     // Evict enough keys to make room for this one
     const leaveRoomForKey = (this.limit - cost);
-    this._evict(leaveRoomForKey);
+    this._evict(leaveRoomForKey, partition);
+    // Can't make room without evicting keys reserved for other partitions
+    if (this[_cost] > leaveRoomForKey)
+      return null;
 
     // Double linked list (previous, next) for O(1) reordering of recently used
     // keys.  Every place you see a link, it refes to an object with these
@@ -290,11 +2009,30 @@ class Cache {
     // We need the key here as well so we can evict least recently used entries
     const link = {
       key,
+      // Same as key, unless we have a normalizeKey function
+      mapKey,
       value,
       previous: null,
       next:     null,
       cost,
       expires,
+      // Sliding TTL moves expires forward, up to maxExpires
+      slidingTtl: Number.isInteger(slidingTtl) ? slidingTtl : null,
+      maxExpires,
+      // Position in the expiration heap, if the link can expire
+      heapIndex: -1,
+      // Promise materializing a fresh value for a stale link, null if not
+      // revalidating
+      revalidating: null,
+      // Cache or namespace holding this key
+      owner:    this,
+      // Partition this key belongs to (see partition)
+      partition,
+      // Tags for invalidateTag
+      tags:     tagsFrom(options && options.tags),
+      // When the value was first set, and last set or retrieved (see getEntry)
+      created:  sameValue ? previous.created : now,
+      accessed: sameValue ? previous.accessed : now,
 
       inspect(depth, inspectOptions) {
         // console.log(cache) calls inspect(cache) on the Map, which ends up
@@ -305,11 +2043,256 @@ class Cache {
     };
 
     this._prependToList(link);
-    this[_map].set(key, link);
+    this[_map].set(mapKey, link);
     this[_cost] = this[_cost] + cost;
+    this[_ownCost] = this[_ownCost] + cost;
+    this._tag(link);
+    this[_policy].add(link);
+    if (partition)
+      partition[_links].add(link);
+    if (expires < Infinity) {
+      this[_expiring].push(link);
+      this._scheduleSweep(this._staleUntil(link));
+    }
 
-    // Map allows you to chain calls to set()
-    return this;
+    return link;
+  }
+
+  // Cost from the options, or if not specified, from the sizeOf function, or
+  // the cache-wide default.  Promises get the default cost, materialized
+  // promises get a new cost once they resolve.
+  _costOf(key, value, options) {
+    const hasCost = (options && options.cost !== undefined);
+    if (hasCost)
+      return actualCost(options.cost);
+    else if (this.sizeOf && !isPromise(value))
+      return actualCost(this.sizeOf(value, key));
+    else
+      return actualCost(this[_defaults].cost);
+  }
+
+
+  // Returns a snapshot of the cache, that you can use to restore it with
+  // Cache.load.  The snapshot includes the limit, and all entries from most to
+  // least recent, with their cost and remaining TTL.
+  //
+  // Materialized promises are included only if they already resolved, and are
+  // restored as promises.  We skip pending and rejected promises, and promises
+  // that didn't come from materialize, since we can't tell their value.
+  //
+  // Options:
+  // serialize  - Called with value and key, returns the value to store in the
+  //              snapshot
+  dump(options) {
+    const serialize = options && options.serialize;
+    const now       = Date.now();
+    const entries   = [];
+
+    let link = this[_head];
+    while (link) {
+      const value     = link.value;
+      const promise   = isPromise(value);
+      const canDump   = promise ? resolvedValues.has(value) : true;
+      if (canDump && link.owner === this && !hasExpired(link)) {
+        const actual  = promise ? resolvedValues.get(value) : value;
+        const entry   = {
+          key:    link.key,
+          value:  serialize ? serialize(actual, link.key) : actual,
+          cost:   link.cost
+        };
+        if (link.maxExpires < Infinity)
+          entry.ttl = link.maxExpires - now;
+        if (link.slidingTtl !== null)
+          entry.slidingTtl = link.slidingTtl;
+        if (link.tags.length)
+          entry.tags = link.tags;
+        if (link.partition)
+          entry.partition = link.partition.name;
+        if (promise)
+          entry.promise = true;
+        entries.push(entry);
+      }
+      link = link.next;
+    }
+
+    return {
+      // JSON doesn't do Infinity
+      limit:  (this.limit < Infinity) ? this.limit : null,
+      entries
+    };
+  }
+
+  // JSON.stringify(cache) returns a snapshot
+  toJSON() {
+    return this.dump();
+  }
+
+  // Restores cache from a snapshot (see dump).  The TTL of each entry counts
+  // from the time it's loaded.
+  //
+  // Options:
+  // limit        - Use this limit instead of the one from the snapshot
+  // deserialize  - Called with the value from the snapshot and the key,
+  //                returns the value to cache
+  //
+  // Any other options are passed to the constructor.
+  static load(snapshot, options) {
+    const deserialize = options && options.deserialize;
+    const hasLimit    = (options && options.limit !== undefined);
+    // Null limit (no limit in the snapshot) becomes Infinity
+    const limit       = hasLimit ? options.limit : snapshot.limit;
+    const cache       = new Cache(Object.assign({}, options, { limit: limit }));
+    const entries     = snapshot.entries;
+
+    // From least to most recent, so we end up with the same order
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry   = entries[i];
+      const actual  = deserialize ? deserialize(entry.value, entry.key) : entry.value;
+      let value     = actual;
+      if (entry.promise) {
+        value = Promise.resolve(actual);
+        resolvedValues.set(value, actual);
+      }
+      // Infinity means no TTL, so cache-wide defaults don't apply
+      cache._set(entry.key, value, {
+        cost:       entry.cost,
+        ttl:        (entry.ttl === undefined) ? Infinity : entry.ttl,
+        slidingTtl: (entry.slidingTtl === undefined) ? Infinity : entry.slidingTtl,
+        tags:       entry.tags,
+        partition:  entry.partition
+      });
+    }
+    return cache;
+  }
+
+
+  // Returns a memoized version of fn.  The memoized function returns a promise
+  // that resolves to the result of fn (which may also return a promise).  The
+  // results are cached, same as with a materialize function: concurrent calls
+  // share the same promise, and rejected promises are not cached.
+  //
+  // Options are the same as for the constructor, and also:
+  //
+  // key  - Called with the function arguments, returns the cache key.  The
+  //        default is to use the first argument.
+  // cost - The cost of each result, or a function called with the resolved
+  //        value and key that returns its cost.
+  //
+  // The memoized function has a cache property, so you can delete keys, etc.
+  static memoize(fn, options) {
+    const keyOf     = (options && options.key) || function(first) {
+      return first;
+    };
+    const costOf    = (options && typeof options.cost === 'function') ? options.cost : null;
+    const cache     = new Cache(Object.assign({}, options, {
+      cost:   costOf ? undefined : (options && options.cost),
+      sizeOf: costOf || (options && options.sizeOf)
+    }));
+
+    function memoized() {
+      const self  = this;
+      const args  = arguments;
+      const key   = keyOf.apply(self, args);
+      return cache.getOrSet(key, function() {
+        return fn.apply(self, args);
+      });
+    }
+    memoized.cache = cache;
+    return memoized;
+  }
+
+
+  // Normalizes arrays and plain objects into strings, so keys with the same
+  // structure are the same key.  You can use this as the normalizeKey function.
+  static structuralKey(key) {
+    return serializeKey(key);
+  }
+
+
+  // Estimates the size of a value in bytes.  You can use this as the sizeOf
+  // function, and set the limit in bytes.
+  static sizeOf(value) {
+    return estimateSize(value, new Set());
+  }
+
+
+  // Returns the named partition.  Keys are added to a partition by setting
+  // with the partition option.  Options are:
+  //
+  // limit    - Maximum cost of all keys in this partition.  When the
+  //            partition is over its limit, it evicts its own keys first
+  // reserved - Keys in other partitions can't evict keys in this partition,
+  //            while its cost is at or below this amount
+  //
+  // The partition object has the same properties, and also cost and size.
+  partition(name, options) {
+    let partition = this[_partitions].get(name);
+    if (!partition) {
+      partition = new Partition(name);
+      this[_partitions].set(name, partition);
+    }
+    if (options && options.limit !== undefined)
+      partition.limit = actualLimit(options.limit);
+    if (options && options.reserved !== undefined)
+      partition.reserved = options.reserved;
+    return partition;
+  }
+
+
+  // Returns a view of this cache with its own keys.  All views share the same
+  // limit and eviction policy (e.g. LRU list) with the cache, but have their
+  // own keys, and their own materialize, dispose, etc functions.  Calling this
+  // again with the same name returns the same view.
+  namespace(name) {
+    const existing = this[_namespaces].get(name);
+    if (existing)
+      return existing;
+
+    const parent      = this;
+    const view        = Object.create(Namespace.prototype);
+    view[_parent]     = parent;
+    view[_map]        = new Map();
+    view[_tags]       = new Map();
+    view[_batch]      = null;
+    view[_pending]    = new Set();
+    view[_ownCost]    = 0;
+    view[_defaults]   = parent[_defaults];
+    view.name             = name;
+    view.materialize      = null;
+    view.materializeMany  = null;
+    view.dispose          = null;
+    view.staleWhileRevalidate = 0;
+    view.rejectionTtl         = undefined;
+    view.shouldCacheRejection = null;
+    view.sizeOf               = null;
+    view.normalizeKey         = null;
+    view.store                = null;
+    view.persist              = null;
+    view.remove               = null;
+    view.writeBehind          = 0;
+    view.materializeTimeout   = 0;
+    view[_writes]             = new Map();
+    view[_writing]            = new Map();
+    view[_writeTimer]         = null;
+    view[_storing]            = new Map();
+    view[_clearing]           = Promise.resolve();
+
+    // Everything else (the list, cost, expiration heap, policy, etc) is shared
+    // with the parent cache
+    for (let symbol of Object.getOwnPropertySymbols(parent)) {
+      if (!view.hasOwnProperty(symbol)) {
+        Object.defineProperty(view, symbol, {
+          get() {
+            return parent[symbol];
+          },
+          set(value) {
+            parent[symbol] = value;
+          }
+        });
+      }
+    }
+    this[_namespaces].set(name, view);
+    return view;
   }
 
 
@@ -325,5 +2308,41 @@ class Cache {
 Cache.prototype[Symbol.iterator] = Cache.prototype.entries;
 
 
+// Namespace view (see Cache.namespace).  Has its own map of keys, but shares
+// the list, cost, expiration heap, eviction policy, etc with the parent cache.
+// We never call the constructor, the view is created from the prototype.
+class Namespace extends Cache {
+
+  // Cost of the keys in this namespace
+  get cost() {
+    return this[_ownCost];
+  }
+
+  stop() {
+    throw new TypeError('Cannot stop active expiration of a namespace, only of the cache');
+  }
+
+  resetStats() {
+    throw new TypeError('Cannot reset statistics of a namespace, only of the cache');
+  }
+
+  namespace() {
+    throw new TypeError('Cannot create a namespace of a namespace, only of the cache');
+  }
+
+}
+
+// Limit, eviction policy, etc are for the whole cache, so we can read them from
+// a namespace, but only change them on the cache
+for (let name of [ 'limit', 'policy', 'activeExpiration', 'collectStats' ]) {
+  Object.defineProperty(Namespace.prototype, name, {
+    get: Object.getOwnPropertyDescriptor(Cache.prototype, name).get,
+    set() {
+      throw new TypeError(`Cannot change ${name} of a namespace, only of the cache`);
+    }
+  });
+}
+
+
 module.exports = Cache;
 
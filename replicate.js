@@ -0,0 +1,245 @@
+// Replicates cache changes to peer caches in other processes (or threads)
+
+'use strict';
+const Cluster = require('cluster');
+const Crypto  = require('crypto');
+
+
+// Replicates changes from this cache to its peers, and from its peers to this
+// cache.  Peers are caches connected through the same transport (see below).
+//
+// We replicate delete and clear, so keys deleted in one cache are also deleted
+// from its peers.  Evicted and expired keys are not replicated, each cache
+// decides for itself which keys to keep.
+//
+// Options:
+// set          - Also replicate set (default false).  Promises (e.g.
+//                materialized values) are never replicated
+// serialize    - Called with the value and key, returns the value to send
+// deserialize  - Called with the value received and key, returns the value to
+//                set
+// origin       - Unique identifier of this replica (default random ID)
+//
+// A transport has these methods:
+// send(message)        - Sends message to all peers
+// onMessage(listener)  - Calls listener with each message sent by any peer
+// close()              - Optional, called when closing the replica
+//
+// Each message has an origin, so we ignore messages we sent ourselves, in case
+// the transport echoes them back to us.
+class Replica {
+
+  constructor(cache, transport, options) {
+    this.cache        = cache;
+    this.transport    = transport;
+    this.origin       = (options && options.origin) || Crypto.randomBytes(16).toString('hex');
+    this.serialize    = options && options.serialize;
+    this.deserialize  = options && options.deserialize;
+    // True while applying a message from a peer, so we don't send it back
+    this.applying     = false;
+    this.closed       = false;
+
+    const self = this;
+    this.listeners = {
+      delete(event) {
+        // Clear sends one message for all keys, and we don't want to delete
+        // good values from peers because materialize failed here
+        if (event.reason === 'deleted')
+          self._send({ type: 'delete', key: event.key });
+      },
+      clear() {
+        self._send({ type: 'clear' });
+      }
+    };
+    if (options && options.set) {
+      this.listeners.set = function(event) {
+        self._sendSet(event.key, event.value, event.cost);
+      };
+    }
+
+    for (let name of Object.keys(this.listeners))
+      cache.on(name, this.listeners[name]);
+    transport.onMessage(function(message) {
+      self._receive(message);
+    });
+  }
+
+  // Stops replicating and closes the transport
+  close() {
+    if (this.closed)
+      return;
+    this.closed = true;
+    for (let name of Object.keys(this.listeners))
+      this.cache.removeListener(name, this.listeners[name]);
+    if (this.transport.close)
+      this.transport.close();
+  }
+
+  _send(message) {
+    if (this.applying || this.closed)
+      return;
+    message.origin = this.origin;
+    this.transport.send(message);
+  }
+
+  _sendSet(key, value, cost) {
+    if (value && typeof value.then === 'function')
+      return;
+
+    const message = {
+      type:   'set',
+      key,
+      value:  this.serialize ? this.serialize(value, key) : value,
+      cost
+    };
+    // JSON doesn't do Infinity, so no TTL means no expiration
+    const entry = this.cache.getEntry(key);
+    if (entry && entry.ttl < Infinity)
+      message.ttl = entry.ttl;
+    this._send(message);
+  }
+
+  _receive(message) {
+    if (this.closed || !message || message.origin === this.origin)
+      return;
+
+    this.applying = true;
+    try {
+      if (message.type === 'delete')
+        this.cache.delete(message.key);
+      else if (message.type === 'clear')
+        this.cache.clear();
+      else if (message.type === 'set') {
+        const key   = message.key;
+        const value = this.deserialize ? this.deserialize(message.value, key) : message.value;
+        this.cache.set(key, value, {
+          cost: message.cost,
+          ttl:  (message.ttl === undefined) ? Infinity : message.ttl
+        });
+      }
+    } finally {
+      this.applying = false;
+    }
+  }
+
+}
+
+
+// Node 16 renamed isMaster to isPrimary
+function isPrimary() {
+  return (Cluster.isPrimary === undefined) ? Cluster.isMaster : Cluster.isPrimary;
+}
+
+
+// Transport between cluster workers, using IPC.  Workers send messages to the
+// primary, which relays them to all other workers.  You need to create a
+// transport in the primary as well, with the same channel name, even if the
+// primary doesn't have a cache.
+//
+// Channel is any name, so you can replicate different caches separately.
+class ClusterTransport {
+
+  constructor(channel) {
+    this.channel    = channel || 'caching-map';
+    this.listeners  = [];
+
+    const self = this;
+    if (isPrimary()) {
+      this.handler = function(worker, envelope) {
+        if (!self._isOurs(envelope))
+          return;
+        self._relay(envelope, worker);
+        self._deliver(envelope.message);
+      };
+      Cluster.on('message', this.handler);
+    } else {
+      this.handler = function(envelope) {
+        if (self._isOurs(envelope))
+          self._deliver(envelope.message);
+      };
+      process.on('message', this.handler);
+    }
+  }
+
+  send(message) {
+    const envelope = { cachingMap: this.channel, message };
+    if (isPrimary())
+      this._relay(envelope, null);
+    else if (process.connected)
+      process.send(envelope);
+  }
+
+  onMessage(listener) {
+    this.listeners.push(listener);
+  }
+
+  close() {
+    if (isPrimary())
+      Cluster.removeListener('message', this.handler);
+    else
+      process.removeListener('message', this.handler);
+    this.listeners = [];
+  }
+
+  _isOurs(envelope) {
+    return (envelope && envelope.cachingMap === this.channel);
+  }
+
+  // Sends to all workers, except the one that sent us this message
+  _relay(envelope, sender) {
+    for (let id of Object.keys(Cluster.workers)) {
+      const worker = Cluster.workers[id];
+      if (worker !== sender && worker.isConnected())
+        worker.send(envelope);
+    }
+  }
+
+  _deliver(message) {
+    for (let listener of this.listeners)
+      listener(message);
+  }
+
+}
+
+
+// Transport between threads (and in the same thread) using BroadcastChannel.
+// All transports with the same channel name are peers.  Requires Node 15.4 or
+// later.
+class BroadcastChannelTransport {
+
+  constructor(channel) {
+    // Loaded here, so you can use the other transports on older versions of
+    // Node
+    const Threads = require('worker_threads');
+    this.channel  = new Threads.BroadcastChannel(channel || 'caching-map');
+    // Never keep the process alive just to receive messages
+    this.channel.unref();
+  }
+
+  send(message) {
+    this.channel.postMessage(message);
+  }
+
+  onMessage(listener) {
+    this.channel.addEventListener('message', function(event) {
+      listener(event.data);
+    });
+  }
+
+  close() {
+    this.channel.close();
+  }
+
+}
+
+
+// Starts replicating this cache through this transport, returns a Replica
+function replicate(cache, transport, options) {
+  return new Replica(cache, transport, options);
+}
+
+replicate.Replica                   = Replica;
+replicate.ClusterTransport          = ClusterTransport;
+replicate.BroadcastChannelTransport = BroadcastChannelTransport;
+
+module.exports = replicate;
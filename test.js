@@ -1,7 +1,12 @@
 /* eslint-env mocha */
 'use strict';
-const assert  = require('assert');
-const Cache   = require('./index');
+const assert    = require('assert');
+const Cache     = require('./index');
+const replicate = require('./replicate');
+const FileStore = require('./file-store');
+const FS        = require('fs');
+const OS        = require('os');
+const Path      = require('path');
 
 
 // Until we get Array.from(iterator) or [...iterator]
@@ -12,6 +17,29 @@ function arrayFrom(iterator) {
   return array;
 }
 
+// Resolves to the error the promise rejects with, fails if it resolves
+function expectRejection(promise) {
+  return promise.then(function() {
+    throw new Error('Not expected to arrive here');
+  }, function(error) {
+    return error;
+  });
+}
+
+// Calls fn with the clock moved forward, so keys expire without waiting on
+// timers, and returns its result
+function later(ms, fn) {
+  const now = Date.now;
+  Date.now  = function() {
+    return now() + ms;
+  };
+  try {
+    return fn();
+  } finally {
+    Date.now = now;
+  }
+}
+
 
 describe('Cache with limit of zero', function() {
 
@@ -849,6 +877,74 @@ describe('With materialize function', function() {
   });
 
 
+  describe('materialize with options', function() {
+
+    let promise;
+    let costBeforeResolved;
+
+    before(function() {
+      cache.clear();
+      cache.materialize = function(key, options) {
+        return Promise.resolve(key)
+          .then(function(value) {
+            options.cost  = 3;
+            options.ttl   = 20;
+            return value;
+          });
+      };
+      promise             = cache.get('w');
+      costBeforeResolved  = cache.cost;
+    });
+
+    it('should use default cost until resolved', function() {
+      assert.equal( costBeforeResolved, 1 );
+    });
+
+    it('should set cost once resolved', function() {
+      return promise
+        .then(function() {
+          assert.equal( cache.cost, 3 );
+        });
+    });
+
+    it('should keep same promise', function() {
+      assert.equal( cache.get('w'), promise );
+    });
+
+    it('should set TTL once resolved', function(done) {
+      setTimeout(function() {
+        assert.equal( cache.has('w'), false );
+        done();
+      }, 25);
+    });
+
+  });
+
+
+  describe('materialize with options after key replaced', function() {
+
+    before(function() {
+      cache.clear();
+      cache.materialize = function(key, options) {
+        options.cost = 3;
+        return key;
+      };
+      const promise = cache.get('v');
+      cache.set('v', 'V');
+      return promise;
+    });
+
+    it('should keep the new value', function() {
+      assert.equal( cache.get('v'), 'V' );
+    });
+
+    it('should keep the new cost', function() {
+      assert.equal( cache.cost, 1 );
+    });
+
+  });
+
+
   describe('materialize and set', function() {
 
     let promise;
@@ -894,3 +990,3591 @@ describe('With materialize function', function() {
   });
 
 });
+
+
+describe('Dispose', function() {
+
+  let cache;
+  let disposed;
+
+  before(function() {
+    cache     = new Cache(3);
+    disposed  = [];
+    cache.dispose = function(value, key, reason) {
+      disposed.push([ key, value, reason ]);
+    };
+  });
+
+
+  describe('delete key', function() {
+
+    before(function() {
+      cache.set('a', 1);
+      disposed.length = 0;
+      cache.delete('a');
+    });
+
+    it('should dispose with reason deleted', function() {
+      assert.deepEqual(disposed, [ [ 'a', 1, 'deleted' ] ]);
+    });
+
+  });
+
+  describe('delete non-existing key', function() {
+
+    it('should not dispose', function() {
+      disposed.length = 0;
+      cache.delete('a');
+      assert.deepEqual(disposed, []);
+    });
+
+  });
+
+  describe('set existing key', function() {
+
+    it('should dispose of old value with reason replaced', function() {
+      cache.set('b', 2);
+      disposed.length = 0;
+      cache.set('b', 3);
+      assert.deepEqual(disposed, [ [ 'b', 2, 'replaced' ] ]);
+    });
+
+    it('should not dispose when setting the same value', function() {
+      disposed.length = 0;
+      cache.set('b', 3, { cost: 2 });
+      assert.deepEqual(disposed, []);
+    });
+
+  });
+
+  describe('set beyond limit', function() {
+
+    before(function() {
+      cache.clear();
+      cache.set('c', 4).set('d', 5).set('e', 6);
+      disposed.length = 0;
+      cache.set('f', 7);
+    });
+
+    it('should dispose of least recent with reason lru', function() {
+      assert.deepEqual(disposed, [ [ 'c', 4, 'lru' ] ]);
+    });
+
+  });
+
+  describe('clear', function() {
+
+    before(function() {
+      cache.clear();
+      cache.set('g', 8).set('h', 9);
+      disposed.length = 0;
+      cache.clear();
+    });
+
+    it('should dispose of all values with reason cleared', function() {
+      assert.deepEqual(disposed, [ [ 'g', 8, 'cleared' ], [ 'h', 9, 'cleared' ] ]);
+    });
+
+    it('should dispose after cache is empty', function() {
+      assert.equal(cache.size, 0);
+    });
+
+  });
+
+  describe('expired key', function() {
+
+    before(function() {
+      cache.clear();
+      cache.set('i', 10, { ttl: 1000 });
+    });
+
+    it('should dispose with reason expired when iterating', function() {
+      disposed.length = 0;
+      later(1500, function() {
+        arrayFrom( cache.keys() );
+      });
+      assert.deepEqual(disposed, [ [ 'i', 10, 'expired' ] ]);
+    });
+
+    it('should dispose with reason expired when evicting', function() {
+      cache.set('j', 11, { ttl: 1000 }).set('k', 12).set('l', 13);
+      disposed.length = 0;
+      later(1500, function() {
+        cache.set('m', 14);
+      });
+      assert.deepEqual(disposed, [ [ 'j', 11, 'expired' ] ]);
+    });
+
+  });
+
+  describe('materialized promise', function() {
+
+    before(function() {
+      cache.clear();
+      disposed.length = 0;
+      cache.materialize = function(key) {
+        if (key === 'bad')
+          throw new Error('fail');
+        return key.toUpperCase();
+      };
+      return Promise.all([ cache.get('n'), cache.get('bad').catch(function() {}) ]);
+    });
+
+    after(function() {
+      cache.materialize = null;
+    });
+
+    it('should not dispose of rejected value', function() {
+      assert.equal(cache.has('bad'), false);
+      assert.deepEqual(disposed, []);
+    });
+
+    it('should dispose of resolved value', function() {
+      cache.delete('n');
+      return Promise.resolve()
+        .then(function() {
+          assert.deepEqual(disposed, [ [ 'n', 'N', 'deleted' ] ]);
+        });
+    });
+
+  });
+
+  describe('cloned cache', function() {
+
+    it('should have same dispose function', function() {
+      const clone = new Cache(cache);
+      assert.equal(clone.dispose, cache.dispose);
+    });
+
+  });
+
+  describe('dispose throws', function() {
+
+    let failing;
+    let errors;
+
+    before(function() {
+      failing = new Cache();
+      errors  = [];
+      failing.dispose = function(value) {
+        throw new Error(`fail:${value}`);
+      };
+      failing.on('error', function(error) {
+        errors.push(error.message);
+      });
+      failing
+        .set('a', 'A')
+        .set('b', Promise.resolve('B'));
+      failing.clear();
+      return new Promise(setImmediate);
+    });
+
+    it('should remove all keys', function() {
+      assert.equal(failing.size, 0);
+    });
+
+    it('should emit error for value and promise alike', function() {
+      assert.deepEqual(errors.sort(), [ 'fail:A', 'fail:B' ]);
+    });
+
+  });
+
+});
+
+
+describe('Active expiration', function() {
+
+  let cache;
+  let disposed;
+
+  before(function() {
+    cache     = new Cache();
+    disposed  = [];
+    cache.dispose = function(value, key, reason) {
+      disposed.push([ key, reason ]);
+    };
+    cache
+      .set('a', 1, { ttl: 5 })
+      .set('b', 2, { ttl: 10 })
+      .set('c', 3);
+    cache.activeExpiration = true;
+  });
+
+  after(function() {
+    cache.stop();
+  });
+
+  it('should report active expiration', function() {
+    assert.equal(cache.activeExpiration, true);
+  });
+
+
+  describe('after keys expire', function() {
+
+    before(function(done) {
+      setTimeout(done, 25);
+    });
+
+    it('should have evicted expired keys', function() {
+      assert.equal(cache.size, 1);
+      assert.equal(cache.cost, 1);
+    });
+
+    it('should have disposed of expired keys', function() {
+      assert.deepEqual(disposed, [ [ 'a', 'expired' ], [ 'b', 'expired' ] ]);
+    });
+
+  });
+
+
+  describe('key set after starting', function() {
+
+    before(function(done) {
+      cache.set('d', 4, { ttl: 5 });
+      setTimeout(done, 25);
+    });
+
+    it('should be evicted when it expires', function() {
+      assert.equal(cache.size, 1);
+      assert.deepEqual(arrayFrom( cache.keys() ), [ 'c' ]);
+    });
+
+  });
+
+
+  describe('after stop', function() {
+
+    before(function(done) {
+      cache.stop();
+      cache.set('e', 5, { ttl: 5 });
+      setTimeout(done, 25);
+    });
+
+    it('should report no active expiration', function() {
+      assert.equal(cache.activeExpiration, false);
+    });
+
+    it('should not evict expired keys', function() {
+      assert.equal(cache.size, 2);
+    });
+
+  });
+
+});
+
+
+describe('Evicting expired keys', function() {
+
+  let cache;
+  let disposed;
+
+  before(function() {
+    cache     = new Cache(20);
+    disposed  = [];
+    cache.dispose = function(value, key, reason) {
+      disposed.push([ key, reason ]);
+    };
+    // Set in random order, each key expires TTL seconds from now
+    const ttls = [ 7, 3, 12, 1, 15, 9, 4, 11, 2, 14, 6, 10, 13, 5, 8 ];
+    for (let ttl of ttls)
+      cache.set(`t${ttl}`, ttl, { ttl: ttl * 1000 });
+    cache
+      .set('x', 'x')
+      .set('y', 'y')
+      .set('z', 'z');
+    // Not in the cache anymore, so can't be evicted
+    cache.delete('t2');
+    cache.delete('t12');
+    disposed.length = 0;
+  });
+
+  before(function() {
+    // All keys with TTL have expired
+    later(20000, function() {
+      cache
+        .set('a', 'a')
+        .set('b', 'b')
+        .set('c', 'c')
+        .set('d', 'd')
+        .set('e', 'e')
+        .set('f', 'f')
+        .set('g', 'g')
+        .set('h', 'h');
+    });
+  });
+
+  it('should only evict as many keys as needed', function() {
+    assert.equal(cache.size, 20);
+    assert.equal(disposed.length, 4);
+  });
+
+  it('should evict soonest expired keys first', function() {
+    assert.deepEqual(disposed, [
+      [ 't1', 'expired' ],
+      [ 't3', 'expired' ],
+      [ 't4', 'expired' ],
+      [ 't5', 'expired' ]
+    ]);
+  });
+
+  it('should keep unexpired keys', function() {
+    assert.equal(cache.has('x'), true);
+    assert.equal(cache.has('y'), true);
+    assert.equal(cache.has('z'), true);
+  });
+
+});
+
+
+describe('Stale while revalidate', function() {
+
+  let cache;
+  let calls;
+  let fail;
+
+  before(function() {
+    cache = new Cache();
+    calls = 0;
+    fail  = false;
+    cache.staleWhileRevalidate = 50;
+    cache.materialize = function(key, options) {
+      calls++;
+      if (fail)
+        throw new Error('fail');
+      options.ttl = 5;
+      return `${key}${calls}`;
+    };
+    return cache.get('x');
+  });
+
+  before(function(done) {
+    setTimeout(done, 10);
+  });
+
+
+  describe('get expired key', function() {
+
+    let stale;
+    let again;
+
+    before(function() {
+      stale = cache.get('x');
+      again = cache.get('x');
+    });
+
+    it('should return stale value', function() {
+      return stale
+        .then(function(value) {
+          assert.equal(value, 'x1');
+        });
+    });
+
+    it('should only revalidate once', function() {
+      assert.equal(again, stale);
+      assert.equal(calls, 2);
+    });
+
+    it('should report key as existing once revalidated', function() {
+      return Promise.resolve()
+        .then(function() {
+          assert.equal(cache.has('x'), true);
+        });
+    });
+
+    it('should return fresh value once revalidated', function() {
+      return cache.get('x')
+        .then(function(value) {
+          assert.equal(value, 'x2');
+        });
+    });
+
+  });
+
+
+  describe('revalidate fails', function() {
+
+    let stale;
+
+    before(function(done) {
+      setTimeout(done, 10);
+    });
+
+    before(function() {
+      fail  = true;
+      stale = cache.get('x');
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 1);
+      });
+    });
+
+    after(function() {
+      fail = false;
+    });
+
+    it('should keep stale value', function() {
+      assert.equal(cache.size, 1);
+      return cache.get('x')
+        .then(function(value) {
+          assert.equal(value, 'x2');
+        });
+    });
+
+    it('should try again on next get', function() {
+      assert.equal(calls, 4);
+    });
+
+  });
+
+
+  describe('after stale window', function() {
+
+    before(function(done) {
+      setTimeout(done, 60);
+    });
+
+    it('should not return stale value', function() {
+      return cache.get('x')
+        .then(function(value) {
+          assert.equal(value, 'x5');
+        });
+    });
+
+  });
+
+
+  describe('iterate over stale keys', function() {
+
+    before(function(done) {
+      cache.set('y', 'Y', { ttl: 1 });
+      setTimeout(done, 10);
+    });
+
+    it('should skip stale keys', function() {
+      assert.deepEqual(arrayFrom( cache.keys() ), [ ]);
+    });
+
+    it('should not evict stale keys', function() {
+      assert.equal(cache.size, 2);
+    });
+
+  });
+
+});
+
+
+describe('Negative caching', function() {
+
+  let cache;
+  let calls;
+
+  before(function() {
+    cache = new Cache();
+    calls = 0;
+    cache.rejectionTtl = 20;
+    cache.shouldCacheRejection = function(error, key) {
+      return error.message === 'Not Found' && key !== 'skip';
+    };
+    cache.materialize = function(key) {
+      calls++;
+      if (key === 'timeout')
+        throw new Error('Timeout');
+      throw new Error('Not Found');
+    };
+  });
+
+
+  describe('cached error', function() {
+
+    let first;
+
+    before(function() {
+      calls = 0;
+      first = cache.get('missing');
+      return expectRejection(first);
+    });
+
+    it('should keep rejected promise', function() {
+      assert.equal(cache.has('missing'), true);
+      assert.equal(cache.get('missing'), first);
+    });
+
+    it('should not materialize again', function() {
+      return expectRejection( cache.get('missing') )
+        .then(function(error) {
+          assert.equal(error.message, 'Not Found');
+          assert.equal(calls, 1);
+        });
+    });
+
+
+    describe('after rejection TTL', function() {
+
+      before(function(done) {
+        setTimeout(done, 25);
+      });
+
+      it('should materialize again', function() {
+        return expectRejection( cache.get('missing') )
+          .then(function() {
+            assert.equal(calls, 2);
+          });
+      });
+
+    });
+
+  });
+
+
+  describe('error not matching predicate', function() {
+
+    before(function() {
+      return Promise.all([
+        expectRejection( cache.get('timeout') ),
+        expectRejection( cache.get('skip') )
+      ]);
+    });
+
+    it('should not keep rejected promise', function() {
+      assert.equal(cache.has('timeout'), false);
+      assert.equal(cache.has('skip'), false);
+    });
+
+  });
+
+
+  describe('without rejection TTL', function() {
+
+    before(function() {
+      cache.rejectionTtl = undefined;
+      return expectRejection( cache.get('another') );
+    });
+
+    it('should not keep rejected promise', function() {
+      assert.equal(cache.has('another'), false);
+    });
+
+  });
+
+});
+
+
+describe('getOrSet', function() {
+
+  let cache;
+
+  before(function() {
+    cache = new Cache();
+  });
+
+
+  describe('concurrent calls', function() {
+
+    let first;
+    let second;
+    let calls;
+
+    before(function() {
+      calls   = [];
+      first   = cache.getOrSet('x', function(key, options) {
+        calls.push([ 'first', key, options.cost ]);
+        return 'XXX';
+      }, { cost: 2, ttl: 20 });
+      second  = cache.getOrSet('x', function() {
+        calls.push([ 'second' ]);
+        return 'xxx';
+      });
+      return first;
+    });
+
+    it('should share one promise', function() {
+      assert.equal(second, first);
+    });
+
+    it('should only call first factory', function() {
+      assert.deepEqual(calls, [ [ 'first', 'x', 2 ] ]);
+    });
+
+    it('should resolve to value', function() {
+      return second
+        .then(function(value) {
+          assert.equal(value, 'XXX');
+        });
+    });
+
+    it('should have the cost', function() {
+      assert.equal(cache.cost, 2);
+    });
+
+    it('should have the TTL', function(done) {
+      setTimeout(function() {
+        assert.equal(cache.has('x'), false);
+        done();
+      }, 25);
+    });
+
+  });
+
+
+  describe('factory changes options', function() {
+
+    before(function() {
+      cache.clear();
+      return cache.getOrSet('y', function(key, options) {
+        options.cost = 5;
+        return 'YYY';
+      }, { cost: 2 });
+    });
+
+    it('should use the new options', function() {
+      assert.equal(cache.cost, 5);
+    });
+
+  });
+
+
+  describe('existing key', function() {
+
+    before(function() {
+      cache.set('z', 'ZZZ');
+    });
+
+    it('should return value without calling factory', function() {
+      const value = cache.getOrSet('z', function() {
+        throw new Error('Not expected to arrive here');
+      });
+      assert.equal(value, 'ZZZ');
+    });
+
+  });
+
+
+  describe('factory fails', function() {
+
+    let rejected;
+
+    before(function() {
+      rejected = cache.getOrSet('w', function() {
+        throw new Error('fail');
+      });
+      return rejected.catch(function() {});
+    });
+
+    it('should reject', function() {
+      return rejected.then(function() {
+        throw new Error('Not expected to arrive here');
+      }, function(error) {
+        assert.equal(error.message, 'fail');
+      });
+    });
+
+    it('should not have key', function() {
+      assert.equal(cache.has('w'), false);
+    });
+
+  });
+
+
+  describe('no factory', function() {
+
+    it('should throw', function() {
+      assert.throws(function() {
+        cache.getOrSet('v');
+      }, TypeError);
+    });
+
+  });
+
+});
+
+
+describe('getMany', function() {
+
+  let cache;
+  let batches;
+
+  before(function() {
+    cache   = new Cache();
+    batches = [];
+    cache.materializeMany = function(keys, options) {
+      batches.push(keys);
+      options[0].cost = 2;
+      return Promise.resolve(keys.map(function(key) {
+        return (key === 'bad') ? new Error('fail') : key.toUpperCase();
+      }));
+    };
+    cache.set('b', 'cached');
+  });
+
+
+  describe('with missing keys', function() {
+
+    let values;
+
+    before(function() {
+      const promise = cache.getMany([ 'a', 'b', 'c' ]);
+      // Same tick, so same batch
+      const single  = cache.get('d');
+      return Promise.all([ promise, single ])
+        .then(function(results) {
+          values = results[0];
+        });
+    });
+
+    it('should resolve to all values', function() {
+      assert.deepEqual(values, [ 'A', 'cached', 'C' ]);
+    });
+
+    it('should materialize missing keys in one batch', function() {
+      assert.deepEqual(batches, [ [ 'a', 'c', 'd' ] ]);
+    });
+
+    it('should cache each key', function() {
+      assert.equal(cache.size, 4);
+      return cache.get('c')
+        .then(function(value) {
+          assert.equal(value, 'C');
+          assert.equal(batches.length, 1);
+        });
+    });
+
+    it('should apply options for each key', function() {
+      assert.equal(cache.cost, 5);
+    });
+
+  });
+
+
+  describe('with failing key', function() {
+
+    let good;
+    let bad;
+
+    before(function() {
+      good  = cache.get('e');
+      bad   = cache.get('bad');
+      return Promise.all([ good, bad.catch(function() {}) ]);
+    });
+
+    it('should resolve the other keys', function() {
+      return good
+        .then(function(value) {
+          assert.equal(value, 'E');
+          assert(cache.has('e'));
+        });
+    });
+
+    it('should reject that key', function() {
+      return bad.then(function() {
+        throw new Error('Not expected to arrive here');
+      }, function(error) {
+        assert.equal(error.message, 'fail');
+      });
+    });
+
+    it('should not cache that key', function() {
+      assert.equal(cache.has('bad'), false);
+    });
+
+  });
+
+
+  describe('with failing batch', function() {
+
+    let rejected;
+
+    before(function() {
+      cache.materializeMany = function() {
+        return [ 'too short' ];
+      };
+      rejected = cache.getMany([ 'f', 'g' ]);
+      return rejected.catch(function() {});
+    });
+
+    it('should reject', function() {
+      return rejected.then(function() {
+        throw new Error('Not expected to arrive here');
+      }, function(error) {
+        assert(error instanceof TypeError);
+      });
+    });
+
+    it('should not cache any keys', function() {
+      assert.equal(cache.has('f'), false);
+      assert.equal(cache.has('g'), false);
+    });
+
+  });
+
+});
+
+
+describe('Statistics', function() {
+
+  let cache;
+
+  before(function() {
+    cache = new Cache(3);
+  });
+
+  it('should not collect statistics by default', function() {
+    assert.equal(cache.collectStats, false);
+    assert.equal(cache.stats(), null);
+  });
+
+
+  describe('collecting', function() {
+
+    let stats;
+
+    before(function() {
+      cache.collectStats = true;
+      cache
+        .set('a', 1, { ttl: 1 })
+        .set('b', 2)
+        .set('c', 3);
+      cache.get('b');
+      cache.get('x');
+    });
+
+    before(function() {
+      later(10, function() {
+        cache
+          .set('d', 4)    // evicts expired a
+          .set('e', 5);   // evicts least recent c
+      });
+      cache.get('b');
+      cache.materialize = function(key) {
+        if (key === 'bad')
+          throw new Error('fail');
+        return key;
+      };
+      return Promise.all([ cache.get('f'), cache.get('bad').catch(function() {}) ])
+        .then(function() {
+          stats = cache.stats();
+        });
+    });
+
+    after(function() {
+      cache.materialize = null;
+    });
+
+    it('should count hits', function() {
+      assert.equal(stats.hits, 2);
+    });
+
+    it('should count misses', function() {
+      assert.equal(stats.misses, 3);
+    });
+
+    it('should count materialize calls and failures', function() {
+      assert.equal(stats.materializations, 2);
+      assert.equal(stats.failures, 1);
+    });
+
+    it('should count sets', function() {
+      assert.equal(stats.sets, 7);
+    });
+
+    it('should count evictions by reason', function() {
+      assert.deepEqual(stats.evictions, { lru: 3, expired: 1 });
+    });
+
+    it('should report hit ratio', function() {
+      assert.equal(stats.hitRatio, 0.4);
+    });
+
+    it('should report cost ratio', function() {
+      assert.equal(stats.cost, 2);
+      assert.equal(stats.limit, 3);
+      assert.equal(stats.costRatio, 2 / 3);
+    });
+
+  });
+
+
+  describe('reset', function() {
+
+    before(function() {
+      cache.resetStats();
+    });
+
+    it('should reset all counters', function() {
+      const stats = cache.stats();
+      assert.equal(stats.hits, 0);
+      assert.equal(stats.misses, 0);
+      assert.equal(stats.sets, 0);
+      assert.deepEqual(stats.evictions, { lru: 0, expired: 0 });
+      assert.equal(stats.hitRatio, 0);
+    });
+
+    it('should still report cost', function() {
+      assert.equal(cache.stats().cost, 2);
+    });
+
+  });
+
+
+  describe('turned off', function() {
+
+    before(function() {
+      cache.collectStats = false;
+    });
+
+    it('should not report statistics', function() {
+      assert.equal(cache.stats(), null);
+    });
+
+  });
+
+
+  describe('materialize', function() {
+
+    it('should count one set for each materialized key', function() {
+      const materialized = new Cache({
+        ttl:          1000,
+        collectStats: true,
+        materialize(key) {
+          return key.toUpperCase();
+        }
+      });
+      return materialized.get('a')
+        .then(function() {
+          assert.equal(materialized.stats().sets, 1);
+          assert.equal(materialized.stats().materializations, 1);
+        });
+    });
+
+  });
+
+});
+
+
+describe('Dump and load', function() {
+
+  let cache;
+  let pending;
+
+  before(function() {
+    cache = new Cache(10);
+    cache.materialize = function(key) {
+      return key.toUpperCase();
+    };
+    return cache.get('m');
+  });
+
+  before(function() {
+    cache.materialize = function() {
+      return new Promise(function() {});
+    };
+    pending = cache.get('p');
+    cache
+      .set('a', { name: 'A' }, { cost: 2 })
+      .set('b', 'B', { ttl: 1000 })
+      .set('e', 'E', { ttl: 1 })
+      .set('c', 'C');
+    cache.get('a');
+  });
+
+
+  describe('dump', function() {
+
+    let snapshot;
+
+    before(function() {
+      // After e expires
+      snapshot = later(10, function() {
+        return cache.dump();
+      });
+    });
+
+    it('should include limit', function() {
+      assert.equal(snapshot.limit, 10);
+    });
+
+    it('should list entries from most to least recent', function() {
+      const keys = snapshot.entries.map(function(entry) {
+        return entry.key;
+      });
+      assert.deepEqual(keys, [ 'a', 'c', 'b', 'm' ]);
+    });
+
+    it('should include cost', function() {
+      assert.equal(snapshot.entries[0].cost, 2);
+      assert.equal(snapshot.entries[1].cost, 1);
+    });
+
+    it('should include remaining TTL', function() {
+      const ttl = snapshot.entries[2].ttl;
+      assert(ttl > 900 && ttl <= 1000);
+      assert.equal(snapshot.entries[0].ttl, undefined);
+    });
+
+    it('should include resolved value of materialized promise', function() {
+      assert.deepEqual(snapshot.entries[3], { key: 'm', value: 'M', cost: 1, promise: true });
+    });
+
+    it('should skip pending promises', function() {
+      assert.equal(cache.get('p'), pending);
+      const keys = snapshot.entries.map(function(entry) {
+        return entry.key;
+      });
+      assert.equal(keys.indexOf('p'), -1);
+    });
+
+    it('should be the same as JSON', function() {
+      const json = JSON.parse(JSON.stringify(cache));
+      assert.equal(json.limit, 10);
+      assert.deepEqual(json.entries[0], snapshot.entries[0]);
+    });
+
+  });
+
+
+  describe('dump with serializer', function() {
+
+    it('should serialize values', function() {
+      const snapshot = cache.dump({
+        serialize(value, key) {
+          return `${key}:${JSON.stringify(value)}`;
+        }
+      });
+      assert.equal(snapshot.entries[0].value, 'a:{"name":"A"}');
+    });
+
+  });
+
+
+  describe('load', function() {
+
+    let loaded;
+
+    before(function() {
+      const json = later(10, function() {
+        return JSON.stringify(cache.dump({ serialize: JSON.stringify }));
+      });
+      loaded = Cache.load(JSON.parse(json), { deserialize: JSON.parse });
+    });
+
+    it('should have the same limit', function() {
+      assert.equal(loaded.limit, 10);
+    });
+
+    it('should have same keys in same order', function() {
+      assert.deepEqual(arrayFrom( loaded.keys() ), [ 'a', 'c', 'b', 'm' ]);
+    });
+
+    it('should have same cost', function() {
+      assert.equal(loaded.cost, 5);
+    });
+
+    it('should have same values', function() {
+      assert.deepEqual(loaded.get('a'), { name: 'A' });
+      assert.equal(loaded.get('c'), 'C');
+    });
+
+    it('should restore promises', function() {
+      return loaded.get('m')
+        .then(function(value) {
+          assert.equal(value, 'M');
+        });
+    });
+
+    it('should dump restored promises', function() {
+      const entry = loaded.dump().entries[0];
+      assert.deepEqual(entry, { key: 'm', value: 'M', cost: 1, promise: true });
+    });
+
+  });
+
+
+  describe('load with TTL', function() {
+
+    let loaded;
+
+    before(function(done) {
+      const snapshot = { limit: null, entries: [ { key: 'x', value: 'X', cost: 1, ttl: 5 } ] };
+      loaded = Cache.load(snapshot, { limit: 3 });
+      setTimeout(done, 10);
+    });
+
+    it('should use limit from options', function() {
+      assert.equal(loaded.limit, 3);
+    });
+
+    it('should expire key', function() {
+      assert.equal(loaded.has('x'), false);
+    });
+
+  });
+
+});
+
+
+describe('Eviction policies', function() {
+
+  // Deterministic random numbers, so tests are repeatable
+  function random(seed) {
+    let state = seed;
+    return function(max) {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      return state % max;
+    };
+  }
+
+
+  describe('default', function() {
+
+    it('should be LRU', function() {
+      assert.equal(new Cache().policy, 'lru');
+    });
+
+  });
+
+
+  describe('unknown policy', function() {
+
+    it('should throw', function() {
+      assert.throws(function() {
+        new Cache().policy = 'mru';
+      }, TypeError);
+    });
+
+  });
+
+
+  describe('LFU', function() {
+
+    let cache;
+
+    before(function() {
+      cache = new Cache(3);
+      cache.policy = 'lfu';
+      cache.set('a', 1).set('b', 2).set('c', 3);
+      cache.get('a');
+      cache.get('a');
+      cache.get('b');
+      cache.get('c');
+      cache.get('a');
+      cache.get('b');
+      cache.set('d', 4);
+    });
+
+    it('should evict least frequently used key', function() {
+      assert.equal(cache.has('c'), false);
+      assert.equal(cache.has('a'), true);
+      assert.equal(cache.has('b'), true);
+    });
+
+    it('should evict least recent among least frequent', function() {
+      cache.set('e', 5);
+      assert.equal(cache.has('d'), false);
+      cache.get('e');
+      cache.set('f', 6);
+      assert.equal(cache.has('e'), false);
+    });
+
+    it('should iterate from most to least recently used', function() {
+      assert.deepEqual(arrayFrom( cache.keys() ), [ 'f', 'b', 'a' ]);
+    });
+
+  });
+
+
+  describe('SLRU', function() {
+
+    let cache;
+
+    before(function() {
+      cache = new Cache(10);
+      cache.policy = 'slru';
+      cache.set('a', 1).set('b', 2);
+      cache.get('a');
+      cache.get('b');
+      // Scan through many keys used once
+      for (let i = 0; i < 100; i++)
+        cache.set(`scan${i}`, i);
+    });
+
+    it('should keep keys used more than once', function() {
+      assert.equal(cache.has('a'), true);
+      assert.equal(cache.has('b'), true);
+    });
+
+    it('should evict keys used once', function() {
+      assert.equal(cache.has('scan0'), false);
+      assert.equal(cache.has('scan99'), true);
+      assert.equal(cache.size, 10);
+    });
+
+    it('should iterate from most to least recently used', function() {
+      const keys = arrayFrom( cache.keys() );
+      assert.deepEqual(keys.slice(0, 2), [ 'scan99', 'scan98' ]);
+      assert.deepEqual(keys.slice(-2), [ 'b', 'a' ]);
+    });
+
+  });
+
+
+  describe('TinyLFU', function() {
+
+    let cache;
+
+    before(function() {
+      cache = new Cache(20);
+      cache.policy = 'tinylfu';
+      for (let round = 0; round < 5; round++) {
+        for (let i = 0; i < 10; i++) {
+          if (!cache.has(`hot${i}`))
+            cache.set(`hot${i}`, i);
+          cache.get(`hot${i}`);
+        }
+      }
+      // Burst of keys used once
+      for (let i = 0; i < 200; i++)
+        cache.set(`once${i}`, i);
+    });
+
+    it('should keep keys used often', function() {
+      for (let i = 0; i < 10; i++)
+        assert.equal(cache.has(`hot${i}`), true);
+    });
+
+    it('should stay within limit', function() {
+      assert.equal(cache.size, 20);
+      assert.equal(cache.cost, 20);
+    });
+
+    it('should admit new key that becomes popular', function() {
+      for (let i = 0; i < 5; i++) {
+        if (!cache.has('new'))
+          cache.set('new', 'new');
+        cache.get('new');
+      }
+      assert.equal(cache.has('new'), true);
+    });
+
+
+    describe('with larger limit', function() {
+
+      let large;
+
+      before(function() {
+        large = new Cache({ limit: 1000, policy: 'tinylfu' });
+        for (let round = 0; round < 10; round++) {
+          for (let i = 0; i < 500; i++) {
+            if (!large.has(`hot${i}`))
+              large.set(`hot${i}`, i);
+            large.get(`hot${i}`);
+          }
+        }
+        // Scan of keys used once, when window and main are both full
+        for (let i = 0; i < 10000; i++)
+          large.set(`once${i}`, i);
+      });
+
+      it('should keep keys used often', function() {
+        let kept = 0;
+        for (let i = 0; i < 500; i++) {
+          if (large.has(`hot${i}`))
+            kept++;
+        }
+        assert.equal(kept, 500);
+      });
+
+      it('should stay within limit', function() {
+        assert.equal(large.size, 1000);
+      });
+
+    });
+
+  });
+
+
+  describe('custom policy', function() {
+
+    let cache;
+
+    // Most recently used
+    class MRUPolicy {
+      constructor() {
+        this.links = [];
+      }
+      add(link) {
+        this.links.push(link);
+      }
+      access(link) {
+        this.remove(link);
+        this.add(link);
+      }
+      remove(link) {
+        const index = this.links.indexOf(link);
+        if (index >= 0)
+          this.links.splice(index, 1);
+      }
+      clear() {
+        this.links = [];
+      }
+      victim() {
+        return this.links[this.links.length - 1];
+      }
+    }
+
+    before(function() {
+      cache = new Cache(2);
+      cache.set('a', 1).set('b', 2);
+      cache.policy = MRUPolicy;
+      cache.get('a');
+      cache.set('c', 3);
+    });
+
+    it('should report the policy', function() {
+      assert.equal(cache.policy, MRUPolicy);
+    });
+
+    it('should evict using the policy', function() {
+      assert.deepEqual(arrayFrom( cache.keys() ), [ 'c', 'b' ]);
+    });
+
+  });
+
+
+  describe('with cost', function() {
+
+    [ 'lru', 'lfu', 'slru', 'tinylfu' ].forEach(function(policy) {
+
+      it(`${policy} should keep cost under limit`, function() {
+        const cache = new Cache(50);
+        const next  = random(42);
+        cache.policy = policy;
+        for (let i = 0; i < 2000; i++) {
+          const key = `k${next(100)}`;
+          const op  = next(10);
+          if (op < 5)
+            cache.get(key);
+          else if (op < 9)
+            cache.set(key, i, { cost: next(8) });
+          else
+            cache.delete(key);
+
+          assert(cache.cost <= 50);
+        }
+
+        let cost = 0;
+        let size = 0;
+        for (let key of cache.keys()) {
+          cost += cache.dump().entries.find(function(entry) {
+            return entry.key === key;
+          }).cost;
+          size++;
+        }
+        assert.equal(cache.cost, cost);
+        assert.equal(cache.size, size);
+      });
+
+    });
+
+  });
+
+});
+
+
+describe('sizeOf', function() {
+
+  describe('built-in estimator', function() {
+
+    it('should count strings in bytes', function() {
+      assert.equal(Cache.sizeOf('abc'), 3);
+      assert.equal(Cache.sizeOf('☃'), 3);
+    });
+
+    it('should count Buffers and typed arrays', function() {
+      assert.equal(Cache.sizeOf(Buffer.alloc(10)), 10);
+      assert.equal(Cache.sizeOf(new Float64Array(4)), 32);
+    });
+
+    it('should count numbers and booleans', function() {
+      assert.equal(Cache.sizeOf(42), 8);
+      assert.equal(Cache.sizeOf(true), 4);
+      assert.equal(Cache.sizeOf(null), 0);
+      assert.equal(Cache.sizeOf(undefined), 0);
+    });
+
+    it('should count arrays', function() {
+      assert.equal(Cache.sizeOf([ 'ab', 1 ]), 8 + 2 + 8 + 8);
+    });
+
+    it('should count plain objects', function() {
+      assert.equal(Cache.sizeOf({ name: 'abc', tags: [ 'x' ] }), 4 + 3 + 4 + 8 + 1);
+    });
+
+    it('should count circular references once', function() {
+      const object = { name: 'abc' };
+      object.self = object;
+      assert.equal(Cache.sizeOf(object), 4 + 3 + 4);
+    });
+
+  });
+
+
+  describe('cache with sizeOf', function() {
+
+    let cache;
+
+    before(function() {
+      cache = new Cache(10);
+      cache.sizeOf = Cache.sizeOf;
+      cache
+        .set('a', 'aaaa')
+        .set('b', 'bbb')
+        .set('c', 'cc', { cost: 1 });
+    });
+
+    it('should calculate cost of each key', function() {
+      assert.equal(cache.cost, 8);
+    });
+
+    it('should evict to stay under limit', function() {
+      cache.set('d', 'ddd');
+      assert.equal(cache.has('a'), false);
+      assert.equal(cache.cost, 7);
+    });
+
+    it('should pass value and key', function() {
+      const calls = [];
+      cache.sizeOf = function(value, key) {
+        calls.push([ value, key ]);
+        return 1;
+      };
+      cache.set('e', 'E');
+      assert.deepEqual(calls, [ [ 'E', 'e' ] ]);
+    });
+
+  });
+
+
+  describe('materialized promise', function() {
+
+    let cache;
+    let costBeforeResolved;
+
+    before(function() {
+      cache = new Cache();
+      cache.sizeOf = Cache.sizeOf;
+      cache.materialize = function(key) {
+        return key.repeat(5);
+      };
+      const promise       = cache.get('x');
+      costBeforeResolved  = cache.cost;
+      return promise;
+    });
+
+    it('should have default cost until resolved', function() {
+      assert.equal(costBeforeResolved, 1);
+    });
+
+    it('should calculate cost from resolved value', function() {
+      assert.equal(cache.cost, 5);
+    });
+
+  });
+
+});
+
+
+describe('Sliding expiration', function() {
+
+  let cache;
+
+  function wait(ms) {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  before(function() {
+    cache = new Cache();
+    cache
+      .set('session', 'S', { slidingTtl: 60 })
+      .set('capped', 'C', { slidingTtl: 60, ttl: 100 })
+      .set('idle', 'I', { slidingTtl: 60 })
+      .set('peeked', 'P', { slidingTtl: 60 });
+  });
+
+  it('should renew TTL on every get', function() {
+    return wait(40)
+      .then(function() {
+        assert.equal(cache.get('session'), 'S');
+        assert.equal(cache.get('capped'), 'C');
+        assert(cache.has('peeked'));
+        return wait(40);
+      })
+      .then(function() {
+        assert.equal(cache.get('session'), 'S');
+        assert.equal(cache.get('capped'), 'C');
+      });
+  });
+
+  it('should expire if not retrieved', function() {
+    assert.equal(cache.has('idle'), false);
+  });
+
+  it('should not renew TTL on has', function() {
+    assert.equal(cache.has('peeked'), false);
+  });
+
+  it('should not renew past TTL', function() {
+    return wait(40)
+      .then(function() {
+        assert.equal(cache.get('session'), 'S');
+        assert.equal(cache.get('capped'), undefined);
+      });
+  });
+
+});
+
+
+describe('Constructor options', function() {
+
+  let cache;
+
+  before(function() {
+    cache = new Cache({
+      limit:       10,
+      cost:        2,
+      ttl:         50,
+      materialize: function(key) {
+        return key.toUpperCase();
+      }
+    });
+    cache
+      .set('default', 'D')
+      .set('override', 'O', { cost: 3, ttl: Infinity });
+  });
+
+  it('should set limit', function() {
+    assert.equal(cache.limit, 10);
+  });
+
+  it('should set materialize function', function() {
+    return cache.get('foo')
+      .then(function(value) {
+        assert.equal(value, 'FOO');
+      });
+  });
+
+  it('should use default cost', function() {
+    assert.equal(cache.cost, 2 + 3 + 2);
+  });
+
+  it('should use default TTL for materialized keys', function() {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 70);
+    })
+      .then(function() {
+        assert.equal(cache.has('foo'), false);
+      });
+  });
+
+  it('should use default TTL', function() {
+    assert.equal(cache.has('default'), false);
+  });
+
+  it('should let set options override defaults', function() {
+    assert.deepEqual(arrayFrom( cache.keys() ), [ 'override' ]);
+    assert.equal(cache.cost, 3);
+  });
+
+
+  describe('with source', function() {
+
+    let fromOptions;
+
+    before(function() {
+      fromOptions = new Cache({ limit: 5 }, new Map([ [ 'a', 1 ], [ 'b', 2 ] ]));
+    });
+
+    it('should set limit', function() {
+      assert.equal(fromOptions.limit, 5);
+    });
+
+    it('should copy keys from source', function() {
+      assert.deepEqual(arrayFrom( fromOptions.keys() ), [ 'b', 'a' ]);
+    });
+
+  });
+
+
+  describe('clone cache', function() {
+
+    let clone;
+
+    before(function() {
+      cache.set('expiring', 'E', { ttl: 1000, cost: 1 });
+      clone = new Cache(cache);
+    });
+
+    it('should copy settings', function() {
+      assert.equal(clone.limit, 10);
+      assert.equal(clone.materialize, cache.materialize);
+    });
+
+    it('should copy defaults', function() {
+      clone.set('new', 'N');
+      assert.equal(clone.cost, 3 + 1 + 2);
+    });
+
+    it('should keep cost and TTL of each key', function() {
+      const entries = clone.dump().entries;
+      assert.equal(entries[1].key, 'expiring');
+      assert(entries[1].ttl > 900);
+      assert.equal(entries[2].key, 'override');
+      assert.equal(entries[2].cost, 3);
+      assert.equal(entries[2].ttl, undefined);
+    });
+
+  });
+
+
+  describe('clone cache with options', function() {
+
+    let clone;
+
+    before(function() {
+      clone = new Cache({ limit: 20, cost: 1 }, cache);
+    });
+
+    it('should override settings', function() {
+      assert.equal(clone.limit, 20);
+      clone.set('new', 'N');
+      assert.equal(clone.cost, 3 + 1 + 1);
+    });
+
+    it('should copy other settings', function() {
+      assert.equal(clone.materialize, cache.materialize);
+    });
+
+  });
+
+});
+
+
+describe('peek and getEntry', function() {
+
+  let cache;
+  let setAt;
+
+  before(function() {
+    cache = new Cache();
+    cache.materialize = function(key) {
+      return key.toUpperCase();
+    };
+    setAt = Date.now();
+    cache
+      .set('a', 'A', { cost: 2, ttl: 1000 })
+      .set('b', 'B');
+  });
+
+  it('should return value', function() {
+    assert.equal(cache.peek('a'), 'A');
+  });
+
+  it('should not change LRU order', function() {
+    cache.getEntry('a');
+    assert.deepEqual(arrayFrom( cache.keys() ), [ 'b', 'a' ]);
+  });
+
+  it('should not materialize missing key', function() {
+    assert.equal(cache.peek('c'), undefined);
+    assert.equal(cache.getEntry('c'), undefined);
+    assert.equal(cache.has('c'), false);
+  });
+
+  it('should not return expired key', function() {
+    cache.set('expired', 'X', { ttl: 1 });
+    later(10, function() {
+      assert.equal(cache.peek('expired'), undefined);
+      assert.equal(cache.getEntry('expired'), undefined);
+    });
+  });
+
+  it('should return entry metadata', function() {
+    const entry = cache.getEntry('a');
+    assert.equal(entry.key, 'a');
+    assert.equal(entry.value, 'A');
+    assert.equal(entry.cost, 2);
+    assert(entry.ttl > 900 && entry.ttl <= 1000);
+    assert(entry.created >= setAt);
+    assert.equal(entry.accessed, entry.created);
+  });
+
+  it('should return Infinity TTL for key that never expires', function() {
+    assert.equal(cache.getEntry('b').ttl, Infinity);
+  });
+
+
+  describe('after get', function() {
+
+    let created;
+
+    before(function() {
+      created = cache.getEntry('a').created;
+      later(10, function() {
+        cache.get('a');
+      });
+    });
+
+    it('should update last access time', function() {
+      const entry = cache.getEntry('a');
+      assert(entry.accessed > created);
+      assert.equal(entry.created, created);
+    });
+
+  });
+
+});
+
+
+describe('Tags', function() {
+
+  let cache;
+  let disposed;
+
+  before(function() {
+    cache = new Cache(4);
+    cache.dispose = function(value, key, reason) {
+      disposed.push([ key, reason ]);
+    };
+  });
+
+  beforeEach(function() {
+    cache.clear();
+    disposed = [];
+    cache
+      .set('a', 1, { tags: [ 'x', 'y' ] })
+      .set('b', 2, { tags: [ 'x' ] })
+      .set('c', 3, { tags: [ 'y' ] })
+      .set('d', 4);
+  });
+
+  it('should delete all keys with tag', function() {
+    assert.equal(cache.invalidateTag('x'), 2);
+    assert.deepEqual(arrayFrom( cache.keys() ), [ 'd', 'c' ]);
+    assert.deepEqual(disposed, [ [ 'a', 'deleted' ], [ 'b', 'deleted' ] ]);
+  });
+
+  it('should do nothing for unknown tag', function() {
+    assert.equal(cache.invalidateTag('z'), 0);
+    assert.equal(cache.size, 4);
+  });
+
+  it('should not delete evicted key again', function() {
+    cache.set('e', 5);
+    assert.equal(cache.has('a'), false);
+    assert.equal(cache.invalidateTag('x'), 1);
+    assert.deepEqual(arrayFrom( cache.keys() ), [ 'e', 'd', 'c' ]);
+  });
+
+  it('should replace tags when setting key again', function() {
+    cache.set('a', 5, { tags: [ 'z' ] });
+    assert.equal(cache.invalidateTag('y'), 1);
+    assert.equal(cache.invalidateTag('z'), 1);
+    assert.deepEqual(arrayFrom( cache.keys() ), [ 'd', 'b' ]);
+  });
+
+  it('should not delete expired key again', function() {
+    cache.set('e', 5, { ttl: 1, tags: [ 'z' ] });
+    later(10, function() {
+      arrayFrom( cache.keys() );
+    });
+    assert.equal(cache.invalidateTag('z'), 0);
+  });
+
+  it('should not delete key after clear', function() {
+    cache.clear();
+    cache.set('a', 1);
+    assert.equal(cache.invalidateTag('x'), 0);
+    assert.equal(cache.size, 1);
+  });
+
+  it('should keep tags in snapshot', function() {
+    const loaded = Cache.load(cache.dump());
+    assert.equal(loaded.invalidateTag('y'), 2);
+    assert.deepEqual(arrayFrom( loaded.keys() ), [ 'd', 'b' ]);
+  });
+
+  it('should tag materialized keys', function() {
+    cache.materialize = function(key, options) {
+      options.tags = [ 'm' ];
+      return key;
+    };
+    return cache.get('m')
+      .then(function() {
+        cache.materialize = null;
+        assert.equal(cache.invalidateTag('m'), 1);
+        assert.equal(cache.has('m'), false);
+      });
+  });
+
+  it('should tag keys from getOrSet', function() {
+    cache.getOrSet('g', function() {
+      return 'G';
+    }, { tags: [ 'g' ] });
+    assert.equal(cache.invalidateTag('g'), 1);
+    assert.equal(cache.has('g'), false);
+  });
+
+  it('should accept a single tag as a string', function() {
+    cache.set('s', 5, { tags: 'xyz' });
+    assert.equal(cache.invalidateTag('z'), 0);
+    assert.equal(cache.invalidateTag('xyz'), 1);
+    assert.equal(cache.has('s'), false);
+  });
+
+  it('should keep tags when revalidating', function() {
+    const stale = new Cache({
+      ttl:                  1000,
+      staleWhileRevalidate: 1000,
+      materialize() {
+        return 'fresh';
+      }
+    });
+    stale.set('r', 'R', { tags: [ 'r' ] });
+    later(1500, function() {
+      assert.equal(stale.get('r'), 'R');
+    });
+    return new Promise(setImmediate)
+      .then(function() {
+        return stale.peek('r');
+      })
+      .then(function(value) {
+        assert.equal(value, 'fresh');
+        assert.equal(stale.invalidateTag('r'), 1);
+        assert.equal(stale.has('r'), false);
+      });
+  });
+
+});
+
+
+describe('Namespaces', function() {
+
+  let cache;
+  let templates;
+  let users;
+  let disposed;
+
+  before(function() {
+    cache     = new Cache(4);
+    templates = cache.namespace('templates');
+    users     = cache.namespace('users');
+    templates.materialize = function(key) {
+      return `template:${key}`;
+    };
+    users.dispose = function(value, key, reason) {
+      disposed.push([ key, reason ]);
+    };
+  });
+
+  beforeEach(function() {
+    cache.clear();
+    templates.clear();
+    users.clear();
+    disposed = [];
+    cache.set('a', 'cache');
+    templates.set('a', 'templates');
+    users.set('a', 'users');
+  });
+
+  it('should return same view for same name', function() {
+    assert.equal(cache.namespace('templates'), templates);
+    assert.equal(templates.name, 'templates');
+  });
+
+  it('should keep keys separate', function() {
+    assert.equal(cache.get('a'), 'cache');
+    assert.equal(templates.get('a'), 'templates');
+    assert.equal(users.get('a'), 'users');
+  });
+
+  it('should iterate over own keys only', function() {
+    users.set('b', 'users');
+    assert.deepEqual(arrayFrom( users.keys() ), [ 'b', 'a' ]);
+    assert.deepEqual(arrayFrom( cache.keys() ), [ 'a' ]);
+    assert.equal(users.size, 2);
+    assert.equal(cache.size, 1);
+  });
+
+  it('should share limit', function() {
+    assert.equal(templates.limit, 4);
+    assert.equal(templates.policy, 'lru');
+  });
+
+  it('should report cost of whole cache and of namespace', function() {
+    users.set('b', 'users');
+    assert.equal(cache.cost, 4);
+    assert.equal(templates.cost, 1);
+    assert.equal(users.cost, 2);
+    users.delete('a');
+    assert.equal(users.cost, 1);
+    users.clear();
+    assert.equal(users.cost, 0);
+    assert.equal(cache.cost, 2);
+  });
+
+  it('should not change cache settings from namespace', function() {
+    assert.throws(function() {
+      users.limit = 2;
+    }, TypeError);
+    assert.throws(function() {
+      users.policy = 'lfu';
+    }, TypeError);
+    assert.throws(function() {
+      users.activeExpiration = true;
+    }, TypeError);
+    assert.throws(function() {
+      users.collectStats = true;
+    }, TypeError);
+    assert.throws(function() {
+      users.stop();
+    }, TypeError);
+    assert.throws(function() {
+      users.resetStats();
+    }, TypeError);
+    assert.equal(cache.limit, 4);
+    assert.equal(cache.policy, 'lru');
+    assert.equal(cache.activeExpiration, false);
+    assert.equal(cache.collectStats, false);
+  });
+
+  it('should not create namespace of namespace', function() {
+    assert.throws(function() {
+      users.namespace('templates');
+    }, TypeError);
+    assert.throws(function() {
+      users.namespace('other');
+    }, TypeError);
+  });
+
+  it('should evict least recently used key from any namespace', function() {
+    cache.get('a');
+    users.set('b', 'users');
+    users.set('c', 'users');
+    assert.equal(templates.has('a'), false);
+    assert.equal(cache.has('a'), true);
+    assert.deepEqual(arrayFrom( users.keys() ), [ 'c', 'b', 'a' ]);
+    users.set('d', 'users');
+    assert.equal(cache.has('a'), true);
+    assert.deepEqual(disposed, [ [ 'a', 'lru' ] ]);
+  });
+
+  it('should evict keys from other namespaces when empty', function() {
+    cache.clear();
+    users.clear();
+    templates.set('b', 'templates');
+    templates.set('c', 'templates');
+    templates.set('d', 'templates');
+    users.set('b', 'users');
+    assert.equal(users.size, 1);
+    assert.equal(cache.cost, 4);
+    assert.equal(templates.has('a'), false);
+  });
+
+  it('should delete key from own namespace', function() {
+    users.delete('a');
+    assert.equal(users.has('a'), false);
+    assert.equal(cache.has('a'), true);
+    assert.equal(cache.cost, 2);
+  });
+
+  it('should clear own keys only', function() {
+    users.clear();
+    assert.equal(users.size, 0);
+    assert.equal(templates.get('a'), 'templates');
+    assert.equal(cache.get('a'), 'cache');
+    assert.equal(cache.cost, 2);
+    assert.deepEqual(disposed, [ [ 'a', 'cleared' ] ]);
+  });
+
+  it('should clear parent keys only', function() {
+    cache.clear();
+    assert.equal(cache.size, 0);
+    assert.equal(templates.get('a'), 'templates');
+    assert.equal(users.get('a'), 'users');
+    assert.equal(cache.cost, 2);
+  });
+
+  it('should use own materialize function', function() {
+    assert.equal(cache.get('b'), undefined);
+    return templates.get('b')
+      .then(function(value) {
+        assert.equal(value, 'template:b');
+        assert.equal(cache.has('b'), false);
+      });
+  });
+
+  it('should expire keys in namespace', function() {
+    users.set('b', 'users', { ttl: 1 });
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 20);
+    })
+      .then(function() {
+        assert.deepEqual(arrayFrom( users.keys() ), [ 'a' ]);
+        assert.deepEqual(disposed, [ [ 'b', 'expired' ] ]);
+        assert.equal(cache.cost, 3);
+      });
+  });
+
+  it('should not dump keys from other namespaces', function() {
+    const entries = users.dump().entries;
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].value, 'users');
+  });
+
+});
+
+
+describe('Partitions', function() {
+
+  let cache;
+
+  before(function() {
+    cache = new Cache(6);
+    cache.partition('noisy', { limit: 3 });
+    cache.partition('quiet', { reserved: 2 });
+  });
+
+  beforeEach(function() {
+    cache.clear();
+    cache.partition('quiet').reserved = 2;
+    cache.partition('noisy').reserved = 0;
+    cache
+      .set('q1', 1, { partition: 'quiet' })
+      .set('q2', 2, { partition: 'quiet' })
+      .set('n1', 1, { partition: 'noisy' })
+      .set('n2', 2, { partition: 'noisy' })
+      .set('o1', 1);
+  });
+
+  it('should report cost and size of each partition', function() {
+    const noisy = cache.partition('noisy');
+    assert.equal(noisy.name, 'noisy');
+    assert.equal(noisy.limit, 3);
+    assert.equal(noisy.size, 2);
+    assert.equal(noisy.cost, 2);
+    cache.set('n3', 3, { partition: 'noisy', cost: 2 });
+    assert.equal(noisy.cost, 3);
+  });
+
+  it('should evict from partition over its limit first', function() {
+    cache.get('n1');
+    cache
+      .set('n3', 3, { partition: 'noisy' })
+      .set('n4', 4, { partition: 'noisy' });
+    assert.deepEqual(arrayFrom( cache.keys() ), [ 'n4', 'n3', 'n1', 'o1', 'q2', 'q1' ]);
+    assert.equal(cache.partition('noisy').size, 3);
+  });
+
+  it('should not hold key larger than partition limit', function() {
+    cache.set('n3', 3, { partition: 'noisy', cost: 4 });
+    assert.equal(cache.has('n3'), false);
+    assert.equal(cache.size, 5);
+  });
+
+  it('should not evict reserved keys for other partitions', function() {
+    cache
+      .set('o2', 2)
+      .set('o3', 3)
+      .set('o4', 4);
+    assert.deepEqual(arrayFrom( cache.keys() ), [ 'o4', 'o3', 'o2', 'o1', 'q2', 'q1' ]);
+    assert.equal(cache.partition('quiet').cost, 2);
+  });
+
+  it('should evict reserved keys for the same partition', function() {
+    cache
+      .set('o2', 2)
+      .set('q3', 3, { partition: 'quiet' })
+      .set('q4', 4, { partition: 'quiet' });
+    assert.deepEqual(arrayFrom( cache.keys() ), [ 'q4', 'q3', 'o2', 'o1', 'n2', 'n1' ]);
+  });
+
+  it('should evict reserved keys above reserved cost', function() {
+    cache.set('q3', 3, { partition: 'quiet' });
+    cache.set('o2', 2);
+    assert.equal(cache.has('q1'), false);
+    assert.equal(cache.partition('quiet').cost, 2);
+  });
+
+  it('should not cache key if there is no room', function() {
+    cache.partition('quiet').reserved = 5;
+    cache.partition('noisy').reserved = 5;
+    cache.set('o2', 2, { cost: 3 });
+    assert.equal(cache.has('o2'), false);
+    assert.equal(cache.cost, 4);
+  });
+
+  it('should remove deleted and expired keys from partition', function() {
+    cache.delete('n1');
+    cache.set('n2', 2, { partition: 'noisy', ttl: 1 });
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 20);
+    })
+      .then(function() {
+        arrayFrom( cache.keys() );
+        assert.equal(cache.partition('noisy').size, 0);
+        assert.equal(cache.partition('noisy').cost, 0);
+      });
+  });
+
+  it('should partition materialized keys', function() {
+    cache.materialize = function(key, options) {
+      options.partition = 'noisy';
+      return key;
+    };
+    return cache.get('n3')
+      .then(function() {
+        cache.materialize = null;
+        assert.equal(cache.partition('noisy').size, 3);
+      });
+  });
+
+  it('should keep partitions in snapshot', function() {
+    const loaded = Cache.load(cache.dump());
+    assert.equal(loaded.partition('noisy').size, 2);
+    assert.equal(loaded.partition('quiet').size, 2);
+  });
+
+  it('should copy partitions when cloning', function() {
+    const clone = new Cache(cache);
+    assert.equal(clone.partition('noisy').limit, 3);
+    assert.equal(clone.partition('quiet').reserved, 2);
+    assert.equal(clone.partition('noisy').size, 2);
+  });
+
+  it('should keep partition when revalidating', function() {
+    const stale = new Cache({
+      ttl:                  1000,
+      staleWhileRevalidate: 1000,
+      materialize() {
+        return 'fresh';
+      }
+    });
+    stale.set('r', 'R', { partition: 'p' });
+    later(1500, function() {
+      assert.equal(stale.get('r'), 'R');
+    });
+    return new Promise(setImmediate)
+      .then(function() {
+        return stale.peek('r');
+      })
+      .then(function(value) {
+        assert.equal(value, 'fresh');
+        assert.equal(stale.partition('p').size, 1);
+      });
+  });
+
+});
+
+
+describe('Memoize', function() {
+
+  let calls;
+  let memoized;
+
+  before(function() {
+    calls     = [];
+    memoized  = Cache.memoize(function(a, b) {
+      calls.push([ a, b ]);
+      if (b === 'fail')
+        return Promise.reject(new Error('fail'));
+      return a + b;
+    }, {
+      limit:  2,
+      key:    function(a, b) {
+        return `${a}:${b}`;
+      }
+    });
+  });
+
+  it('should return promise that resolves to result', function() {
+    return memoized('a', 'b')
+      .then(function(value) {
+        assert.equal(value, 'ab');
+      });
+  });
+
+  it('should use cached result', function() {
+    return memoized('a', 'b')
+      .then(function(value) {
+        assert.equal(value, 'ab');
+        assert.deepEqual(calls, [ [ 'a', 'b' ] ]);
+      });
+  });
+
+  it('should share promise between concurrent calls', function() {
+    const first   = memoized('c', 'd');
+    const second  = memoized('c', 'd');
+    assert.equal(first, second);
+  });
+
+  it('should expose the cache', function() {
+    assert(memoized.cache instanceof Cache);
+    assert.equal(memoized.cache.limit, 2);
+    assert.deepEqual(arrayFrom( memoized.cache.keys() ), [ 'c:d', 'a:b' ]);
+  });
+
+  it('should call function again after key deleted', function() {
+    memoized.cache.delete('a:b');
+    return memoized('a', 'b')
+      .then(function() {
+        assert.equal(calls.length, 3);
+      });
+  });
+
+  it('should not cache rejected promise', function() {
+    return memoized('a', 'fail')
+      .then(function() {
+        assert(false, 'Expected error');
+      }, function(error) {
+        assert.equal(error.message, 'fail');
+        assert.equal(memoized.cache.has('a:fail'), false);
+      });
+  });
+
+
+  describe('with defaults', function() {
+
+    let square;
+
+    before(function() {
+      square = Cache.memoize(function(number) {
+        return number * number;
+      }, {
+        ttl:  50,
+        cost: function(value) {
+          return value;
+        }
+      });
+      return Promise.all([ square(2), square(3) ]);
+    });
+
+    it('should use first argument as key', function() {
+      assert.deepEqual(arrayFrom( square.cache.keys() ), [ 3, 2 ]);
+    });
+
+    it('should calculate cost from result', function() {
+      assert.equal(square.cache.cost, 4 + 9);
+    });
+
+    it('should expire results', function() {
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 70);
+      })
+        .then(function() {
+          assert.equal(square.cache.has(2), false);
+        });
+    });
+
+  });
+
+});
+
+
+describe('Structural keys', function() {
+
+  let cache;
+  let materialized;
+
+  before(function() {
+    materialized = [];
+    cache = new Cache({
+      normalizeKey: Cache.structuralKey,
+      materialize:  function(key) {
+        materialized.push(key);
+        return key.length;
+      }
+    });
+    cache
+      .set([ 'user', 42 ], 'U')
+      .set({ id: 42, org: 7 }, 'O')
+      .set('42', 'S');
+  });
+
+  it('should find key with same structure', function() {
+    assert.equal(cache.get([ 'user', 42 ]), 'U');
+    assert.equal(cache.get({ org: 7, id: 42 }), 'O');
+    assert(cache.has([ 'user', 42 ]));
+  });
+
+  it('should not confuse strings and numbers', function() {
+    assert.equal(cache.get('42'), 'S');
+    assert.equal(cache.has(42), false);
+    assert.equal(cache.has([ 'user', '42' ]), false);
+  });
+
+  it('should iterate over original keys', function() {
+    const keys = arrayFrom( cache.keys() );
+    assert.deepEqual(keys, [ '42', { id: 42, org: 7 }, [ 'user', 42 ] ]);
+    assert(Array.isArray(keys[2]));
+  });
+
+  it('should replace key with same structure', function() {
+    cache.set([ 'user', 42 ], 'V');
+    assert.equal(cache.size, 3);
+    assert.equal(cache.peek([ 'user', 42 ]), 'V');
+  });
+
+  it('should delete key with same structure', function() {
+    assert(cache.delete({ id: 42, org: 7 }));
+    assert.equal(cache.size, 2);
+  });
+
+  it('should materialize with original key', function() {
+    const key = [ 'post', 1 ];
+    return cache.get(key)
+      .then(function(value) {
+        assert.equal(value, 2);
+        assert.equal(materialized[0], key);
+        assert.equal(cache.get([ 'post', 1 ]), cache.get(key));
+        assert.equal(materialized.length, 1);
+      });
+  });
+
+
+  describe('serialization', function() {
+
+    it('should serialize arrays and plain objects', function() {
+      assert.equal(Cache.structuralKey([ 'a', 1, null, { b: true, a: [] } ]), '["a",1,null,{"a":[],"b":true}]');
+    });
+
+    it('should keep different types apart', function() {
+      const keys = [ 1, '1', 1n, true, 'true', null, 'null', undefined, [ 1 ], '[1]', new Date(1) ];
+      const serialized = new Set(keys.map(Cache.structuralKey));
+      assert.equal(serialized.size, keys.length);
+    });
+
+    it('should serialize other objects by identity', function() {
+      const object = new Map();
+      assert.equal(Cache.structuralKey([ object ]), Cache.structuralKey([ object ]));
+      assert.notEqual(Cache.structuralKey([ object ]), Cache.structuralKey([ new Map() ]));
+    });
+
+  });
+
+});
+
+
+describe('Events', function() {
+
+  let cache;
+  let events;
+
+  function record(name) {
+    cache.on(name, function(event) {
+      events.push([ name, event ]);
+    });
+  }
+
+  before(function() {
+    cache   = new Cache(2);
+    events  = [];
+    for (let name of [ 'set', 'delete', 'evict', 'expire', 'hit', 'miss', 'clear' ])
+      record(name);
+  });
+
+  beforeEach(function() {
+    cache.clear();
+    events = [];
+  });
+
+  it('should emit set event', function() {
+    cache.set('a', 'A', { cost: 2 });
+    assert.deepEqual(events, [ [ 'set', { key: 'a', value: 'A', cost: 2 } ] ]);
+  });
+
+  it('should emit hit and miss events', function() {
+    cache.set('a', 'A');
+    events = [];
+    cache.get('a');
+    cache.get('b');
+    assert.deepEqual(events, [
+      [ 'hit', { key: 'a', value: 'A', cost: 1, stale: false } ],
+      [ 'miss', { key: 'b' } ]
+    ]);
+  });
+
+  it('should emit delete event', function() {
+    cache.set('a', 'A');
+    events = [];
+    cache.delete('a');
+    assert.deepEqual(events, [ [ 'delete', { key: 'a', value: 'A', cost: 1, reason: 'deleted' } ] ]);
+  });
+
+  it('should emit delete event for key not in cache', function() {
+    cache.delete('a');
+    assert.deepEqual(events, [ [ 'delete', { key: 'a', reason: 'deleted' } ] ]);
+  });
+
+  it('should emit evict event', function() {
+    cache.set('a', 'A').set('b', 'B');
+    events = [];
+    cache.set('c', 'C');
+    assert.deepEqual(events, [
+      [ 'evict', { key: 'a', value: 'A', cost: 1, reason: 'lru' } ],
+      [ 'set', { key: 'c', value: 'C', cost: 1 } ]
+    ]);
+  });
+
+  it('should emit expire event', function() {
+    cache.set('a', 'A', { ttl: 1 });
+    events = [];
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 20);
+    })
+      .then(function() {
+        arrayFrom( cache.keys() );
+        assert.deepEqual(events, [ [ 'expire', { key: 'a', value: 'A', cost: 1, reason: 'expired' } ] ]);
+      });
+  });
+
+  it('should emit delete events and clear event', function() {
+    cache.set('a', 'A').set('b', 'B');
+    events = [];
+    cache.clear();
+    assert.deepEqual(events, [
+      [ 'delete', { key: 'a', value: 'A', cost: 1, reason: 'cleared' } ],
+      [ 'delete', { key: 'b', value: 'B', cost: 1, reason: 'cleared' } ],
+      [ 'clear', undefined ]
+    ]);
+  });
+
+  it('should emit delete events for invalidated tag', function() {
+    cache.set('a', 'A', { tags: [ 't' ] });
+    events = [];
+    cache.invalidateTag('t');
+    assert.deepEqual(events, [ [ 'delete', { key: 'a', value: 'A', cost: 1, reason: 'deleted' } ] ]);
+  });
+
+
+  describe('materialize', function() {
+
+    let materializeEvents;
+
+    before(function() {
+      materializeEvents = [];
+      cache.materialize = function(key) {
+        if (key === 'bad')
+          throw new Error('fail');
+        return key.toUpperCase();
+      };
+      cache.on('materialize', function(event) {
+        materializeEvents.push([ 'materialize', event ]);
+      });
+      cache.on('materializeError', function(event) {
+        materializeEvents.push([ 'materializeError', event.key, event.error.message ]);
+      });
+      return Promise.all([ cache.get('a'), cache.get('bad').catch(function() {}) ]);
+    });
+
+    after(function() {
+      cache.materialize = null;
+    });
+
+    it('should emit materialize event', function() {
+      assert.deepEqual(materializeEvents[0], [ 'materialize', { key: 'a', value: 'A' } ]);
+    });
+
+    it('should emit materializeError event', function() {
+      assert.deepEqual(materializeEvents[1], [ 'materializeError', 'bad', 'fail' ]);
+    });
+
+    it('should emit delete event with reason rejected', function() {
+      events = [];
+      return cache.get('bad')
+        .catch(function() {
+          return new Promise(setImmediate);
+        })
+        .then(function() {
+          const deleted = events.filter(function(event) {
+            return event[0] === 'delete';
+          });
+          assert.equal(deleted.length, 1);
+          assert.equal(deleted[0][1].key, 'bad');
+          assert.equal(deleted[0][1].reason, 'rejected');
+        });
+    });
+
+  });
+
+
+  describe('materialize listener throws', function() {
+
+    let throwing;
+    let errors;
+
+    before(function() {
+      errors    = [];
+      throwing  = new Cache({
+        materialize(key) {
+          if (key === 'bad')
+            throw new Error('fail');
+          return key.toUpperCase();
+        }
+      });
+      throwing.on('materialize', function(event) {
+        throw new Error(`listener:${event.key}`);
+      });
+      throwing.on('materializeError', function(event) {
+        throw new Error(`listener:${event.key}`);
+      });
+      throwing.on('error', function(error) {
+        errors.push(error.message);
+      });
+      return Promise.all([ throwing.get('a'), throwing.get('bad').catch(function() {}) ])
+        .then(function() {
+          return new Promise(setImmediate);
+        });
+    });
+
+    it('should emit error event', function() {
+      assert.deepEqual(errors.sort(), [ 'listener:a', 'listener:bad' ]);
+    });
+
+  });
+
+
+  describe('materialize with ttl', function() {
+
+    let materialized;
+    let setEvents;
+    let calls;
+
+    before(function() {
+      setEvents     = [];
+      calls         = 0;
+      materialized  = new Cache({
+        ttl:                  1000,
+        staleWhileRevalidate: 1000,
+        materialize(key) {
+          calls++;
+          return key.toUpperCase();
+        }
+      });
+      materialized.on('set', function(event) {
+        setEvents.push(event.key);
+      });
+      return materialized.get('a');
+    });
+
+    it('should emit one set event for each materialized key', function() {
+      assert.deepEqual(setEvents, [ 'a' ]);
+    });
+
+    it('should not emit set event when revalidating', function() {
+      return later(1500, function() {
+        return materialized.get('a');
+      })
+        .then(function() {
+          return new Promise(setImmediate);
+        })
+        .then(function() {
+          assert.equal(calls, 2);
+          assert.deepEqual(setEvents, [ 'a' ]);
+        });
+    });
+
+  });
+
+
+  describe('namespace', function() {
+
+    let users;
+    let userEvents;
+
+    before(function() {
+      userEvents  = [];
+      users       = cache.namespace('users');
+      users.on('evict', function(event) {
+        userEvents.push(event.key);
+      });
+    });
+
+    it('should emit events from namespace holding the key', function() {
+      users.set('u', 'U');
+      cache.set('a', 'A').set('b', 'B');
+      assert.deepEqual(userEvents, [ 'u' ]);
+      assert.equal(events.filter(function(event) {
+        return event[0] === 'evict';
+      }).length, 0);
+    });
+
+  });
+
+});
+
+
+describe('Replication', function() {
+
+  // In-memory transport: every message goes to all transports on the same bus,
+  // including the sender
+  function memoryTransport(bus) {
+    const transport = {
+      listeners: [],
+      send(message) {
+        for (let peer of bus)
+          for (let listener of peer.listeners)
+            listener(JSON.parse(JSON.stringify(message)));
+      },
+      onMessage(listener) {
+        this.listeners.push(listener);
+      }
+    };
+    bus.push(transport);
+    return transport;
+  }
+
+  let first;
+  let second;
+  let replicas;
+
+  beforeEach(function() {
+    const bus = [];
+    first     = new Cache(10);
+    second    = new Cache(10);
+    replicas  = [
+      replicate(first, memoryTransport(bus), { set: true }),
+      replicate(second, memoryTransport(bus))
+    ];
+    first.set('a', 'A1').set('b', 'B1');
+    second.set('a', 'A2').set('b', 'B2');
+  });
+
+  afterEach(function() {
+    for (let replica of replicas)
+      replica.close();
+  });
+
+  it('should replicate delete', function() {
+    second.delete('a');
+    assert.equal(first.has('a'), false);
+    assert.equal(first.get('b'), 'B1');
+  });
+
+  it('should replicate delete of key not in cache', function() {
+    second.set('c', 'C');
+    first.delete('c');
+    assert.equal(second.has('c'), false);
+  });
+
+  it('should not replicate key deleted because materialize failed', function() {
+    // Evicts a from second, but not from first
+    second.limit = 2;
+    first.set('c', 'C1');
+    second.materialize = function() {
+      throw new Error('fail');
+    };
+    return second.get('a')
+      .catch(function() {
+        return new Promise(setImmediate);
+      })
+      .then(function() {
+        assert.equal(second.has('a'), false);
+        assert.equal(first.get('a'), 'A1');
+      });
+  });
+
+  it('should replicate clear', function() {
+    second.clear();
+    assert.equal(first.size, 0);
+  });
+
+  it('should replicate set if asked to', function() {
+    first.set('c', 'C', { cost: 2, ttl: 1000 });
+    const entry = second.getEntry('c');
+    assert.equal(entry.value, 'C');
+    assert.equal(entry.cost, 2);
+    assert(entry.ttl > 900);
+  });
+
+  it('should not replicate set otherwise', function() {
+    second.set('c', 'C');
+    assert.equal(first.has('c'), false);
+  });
+
+  it('should not replicate evictions', function() {
+    second.limit = 1;
+    second.set('c', 'C');
+    assert.equal(first.get('a'), 'A1');
+    assert.equal(first.get('b'), 'B1');
+  });
+
+  it('should not replicate materialized promises', function() {
+    first.materialize = function(key) {
+      return key;
+    };
+    return first.get('d')
+      .then(function() {
+        assert.equal(second.has('d'), false);
+      });
+  });
+
+  it('should ignore own messages', function() {
+    first.set('c', 'C');
+    assert.equal(first.get('c'), 'C');
+    assert.equal(replicas[0].origin === replicas[1].origin, false);
+  });
+
+  it('should stop replicating after close', function() {
+    replicas[1].close();
+    second.delete('a');
+    first.delete('b');
+    assert.equal(first.get('a'), 'A1');
+    assert.equal(second.get('b'), 'B2');
+  });
+
+
+  // BroadcastChannel requires Node 15.4 or later
+  const hasBroadcastChannel = (function() {
+    try {
+      return !!require('worker_threads').BroadcastChannel;
+    } catch (error) {
+      return false;
+    }
+  })();
+
+  (hasBroadcastChannel ? describe : describe.skip)('over BroadcastChannel', function() {
+
+    let left;
+    let right;
+    let channelReplicas;
+
+    before(function() {
+      left            = new Cache();
+      right           = new Cache();
+      channelReplicas = [
+        replicate(left, new replicate.BroadcastChannelTransport('test')),
+        replicate(right, new replicate.BroadcastChannelTransport('test'))
+      ];
+      left.set('a', 'A');
+      right.set('a', 'A');
+      left.delete('a');
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 20);
+      });
+    });
+
+    after(function() {
+      for (let replica of channelReplicas)
+        replica.close();
+    });
+
+    it('should replicate delete', function() {
+      assert.equal(right.has('a'), false);
+    });
+
+  });
+
+
+  describe('over cluster', function() {
+
+    const Cluster = require('cluster');
+
+    let workers;
+    let transport;
+    let received;
+
+    // Stands in for a worker process, records envelopes the primary sends it
+    function fakeWorker(id) {
+      return {
+        id,
+        sent: [],
+        send(envelope) {
+          this.sent.push(envelope);
+        },
+        isConnected() {
+          return true;
+        }
+      };
+    }
+
+    beforeEach(function() {
+      workers   = [ fakeWorker('test1'), fakeWorker('test2') ];
+      for (let worker of workers)
+        Cluster.workers[worker.id] = worker;
+      transport = new replicate.ClusterTransport('test');
+      received  = [];
+      transport.onMessage(function(message) {
+        received.push(message);
+      });
+    });
+
+    afterEach(function() {
+      transport.close();
+      for (let worker of workers)
+        delete Cluster.workers[worker.id];
+    });
+
+    it('should relay message from worker to all other workers', function() {
+      const envelope = { cachingMap: 'test', message: { type: 'clear' } };
+      Cluster.emit('message', workers[0], envelope);
+      assert.deepEqual(workers[0].sent, []);
+      assert.deepEqual(workers[1].sent, [ envelope ]);
+    });
+
+    it('should deliver message from worker to primary', function() {
+      Cluster.emit('message', workers[0], { cachingMap: 'test', message: { type: 'clear' } });
+      assert.deepEqual(received, [ { type: 'clear' } ]);
+    });
+
+    it('should send message from primary to all workers', function() {
+      transport.send({ type: 'clear' });
+      const envelope = { cachingMap: 'test', message: { type: 'clear' } };
+      assert.deepEqual(workers[0].sent, [ envelope ]);
+      assert.deepEqual(workers[1].sent, [ envelope ]);
+      assert.deepEqual(received, []);
+    });
+
+    it('should ignore messages for other channels', function() {
+      Cluster.emit('message', workers[0], { cachingMap: 'other', message: { type: 'clear' } });
+      Cluster.emit('message', workers[0], 'not ours');
+      assert.deepEqual(workers[1].sent, []);
+      assert.deepEqual(received, []);
+    });
+
+    it('should stop relaying after close', function() {
+      transport.close();
+      Cluster.emit('message', workers[0], { cachingMap: 'test', message: { type: 'clear' } });
+      assert.deepEqual(workers[1].sent, []);
+      assert.deepEqual(received, []);
+    });
+
+    it('should replicate cache in primary', function() {
+      const cache   = new Cache();
+      const replica = replicate(cache, transport);
+      cache.set('a', 'A');
+      Cluster.emit('message', workers[0], {
+        cachingMap: 'test',
+        message:    { type: 'delete', key: 'a', origin: 'worker' }
+      });
+      assert.equal(cache.has('a'), false);
+      cache.delete('b');
+      assert.deepEqual(workers[0].sent[0].message, { type: 'delete', key: 'b', origin: replica.origin });
+      replica.close();
+    });
+
+  });
+
+});
+
+
+describe('Two-tier cache', function() {
+
+  // Store that keeps records in a Map, and resolves on next tick
+  function memoryStore() {
+    const records = new Map();
+    return {
+      records,
+      get(key) {
+        return Promise.resolve(records.get(key));
+      },
+      set(key, record) {
+        records.set(key, record);
+        return Promise.resolve();
+      },
+      delete(key) {
+        records.delete(key);
+        return Promise.resolve();
+      },
+      clear() {
+        records.clear();
+        return Promise.resolve();
+      }
+    };
+  }
+
+  let cache;
+  let store;
+
+  beforeEach(function() {
+    store = memoryStore();
+    cache = new Cache({ limit: 2, store });
+    cache
+      .set('a', 'A', { ttl: 1000 })
+      .set('b', 'B')
+      .set('c', 'C', { cost: 1 });
+    return cache.flush();
+  });
+
+  it('should move evicted key to store', function() {
+    const record = store.records.get('a');
+    assert.equal(record.value, 'A');
+    assert.equal(record.cost, 1);
+    assert(record.expires > Date.now() + 900);
+    assert.equal(cache.has('a'), false);
+  });
+
+  it('should get key from store', function() {
+    return cache.get('a')
+      .then(function(value) {
+        assert.equal(value, 'A');
+        assert(cache.has('a'));
+        assert(cache.getEntry('a').ttl > 900);
+        assert.equal(cache.has('b'), false);
+        assert.equal(store.records.get('b').expires, null);
+      });
+  });
+
+  it('should share promise between concurrent calls', function() {
+    assert.equal(cache.get('a'), cache.get('a'));
+  });
+
+  it('should not get expired key from store', function() {
+    store.records.get('a').expires = Date.now() - 1;
+    return cache.get('a')
+      .then(function(value) {
+        assert.equal(value, undefined);
+        assert.equal(cache.has('a'), false);
+        assert.equal(store.records.has('a'), false);
+      });
+  });
+
+  it('should resolve to undefined if not found', function() {
+    return cache.get('d')
+      .then(function(value) {
+        assert.equal(value, undefined);
+        assert.equal(cache.has('d'), false);
+        assert.deepEqual(arrayFrom( cache.keys() ), [ 'c' ]);
+      });
+  });
+
+  it('should materialize if not found', function() {
+    cache.materialize = function(key) {
+      return key.toUpperCase();
+    };
+    return Promise.all([ cache.get('a'), cache.get('d') ])
+      .then(function(values) {
+        cache.materialize = null;
+        assert.deepEqual(values, [ 'A', 'D' ]);
+      });
+  });
+
+  it('should delete key from both tiers', function() {
+    cache.delete('a');
+    cache.delete('c');
+    return cache.flush()
+      .then(function() {
+        assert.equal(store.records.has('a'), false);
+        assert.equal(cache.has('c'), false);
+      });
+  });
+
+  it('should delete old value from store when not keeping new value (TTL zero)', function() {
+    cache.set('a', 'A2', { ttl: 0 });
+    return cache.flush()
+      .then(function() {
+        assert.equal(store.records.has('a'), false);
+        return cache.get('a');
+      })
+      .then(function(value) {
+        assert.equal(value, undefined);
+      });
+  });
+
+  it('should delete old value from store when not keeping new value (too big)', function() {
+    return cache.get('a')
+      .then(function(value) {
+        assert.equal(value, 'A');
+        cache.set('a', 'A2', { cost: 3 });
+        assert.equal(cache.has('a'), false);
+        return cache.flush();
+      })
+      .then(function() {
+        assert.equal(store.records.has('a'), false);
+        return cache.get('a');
+      })
+      .then(function(value) {
+        assert.equal(value, undefined);
+      });
+  });
+
+  it('should clear both tiers', function() {
+    cache.clear();
+    return cache.flush()
+      .then(function() {
+        assert.equal(store.records.size, 0);
+        assert.equal(cache.size, 0);
+      });
+  });
+
+  it('should clear after writes in progress', function() {
+    const records = store.records;
+    let finishWrite;
+    store.set = function(key, record) {
+      return new Promise(function(resolve) {
+        finishWrite = function() {
+          records.set(key, record);
+          resolve();
+        };
+      });
+    };
+    // Evicts b, and we write it to the store after clearing
+    cache.set('d', 'D');
+    cache.clear();
+    return new Promise(setImmediate)
+      .then(function() {
+        finishWrite();
+        return cache.flush();
+      })
+      .then(function() {
+        assert.equal(records.size, 0);
+      });
+  });
+
+  it('should not clone the store', function() {
+    const clone = new Cache(cache);
+    assert.equal(clone.store, null);
+    clone.clear();
+    return cache.flush()
+      .then(function() {
+        assert.equal(store.records.size, 1);
+      });
+  });
+
+  it('should emit store errors', function() {
+    const errors = [];
+    cache.on('storeError', function(event) {
+      errors.push(event.error.message);
+    });
+    store.get = function() {
+      return Promise.reject(new Error('fail'));
+    };
+    return cache.get('a')
+      .then(function(value) {
+        assert.equal(value, undefined);
+        assert.deepEqual(errors, [ 'fail' ]);
+      });
+  });
+
+
+  describe('file store', function() {
+
+    let directory;
+    let fileStore;
+    let fileCache;
+
+    before(function() {
+      directory = FS.mkdtempSync(Path.join(OS.tmpdir(), 'caching-map-'));
+      fileStore = new FileStore(directory);
+      fileCache = new Cache({ limit: 1, store: fileStore });
+      fileCache
+        .set('a', { name: 'A' }, { ttl: 1000 })
+        .set('b', 'B');
+      return fileCache.flush();
+    });
+
+    after(function() {
+      for (let filename of FS.readdirSync(directory))
+        FS.unlinkSync(Path.join(directory, filename));
+      FS.rmdirSync(directory);
+    });
+
+    it('should write evicted key to file', function() {
+      assert.equal(FS.readdirSync(directory).length, 1);
+    });
+
+    it('should read key from file', function() {
+      return fileStore.get('a')
+        .then(function(record) {
+          assert.deepEqual(record.value, { name: 'A' });
+          assert.equal(record.cost, 1);
+          assert(record.expires > Date.now() + 900);
+        });
+    });
+
+    it('should resolve to undefined for missing key', function() {
+      return fileStore.get('c')
+        .then(function(record) {
+          assert.equal(record, undefined);
+        });
+    });
+
+    it('should get key from file', function() {
+      return fileCache.get('a')
+        .then(function(value) {
+          assert.deepEqual(value, { name: 'A' });
+        });
+    });
+
+    it('should delete file', function() {
+      return fileStore.delete('a')
+        .then(function() {
+          return fileStore.get('a');
+        })
+        .then(function(record) {
+          assert.equal(record, undefined);
+        });
+    });
+
+    it('should not bring back key deleted while writing', function() {
+      fileCache.set('d', 'D').set('e', 'E');
+      fileCache.delete('d');
+      return fileCache.flush()
+        .then(function() {
+          return fileCache.get('d');
+        })
+        .then(function(value) {
+          assert.equal(value, undefined);
+        });
+    });
+
+    it('should not bring back keys cleared while writing', function() {
+      fileCache.set('f', 'F').set('g', 'G');
+      fileCache.clear();
+      return fileCache.flush()
+        .then(function() {
+          assert.deepEqual(FS.readdirSync(directory), []);
+          return fileCache.get('f');
+        })
+        .then(function(value) {
+          assert.equal(value, undefined);
+        });
+    });
+
+    it('should clear all files', function() {
+      return fileStore.set('c', { value: 'C', cost: 1, expires: null })
+        .then(function() {
+          return fileStore.clear();
+        })
+        .then(function() {
+          assert.deepEqual(FS.readdirSync(directory), []);
+        });
+    });
+
+  });
+
+});
+
+
+describe('Write-through and write-behind', function() {
+
+  let writes;
+
+  // Records each call.  Writes the value 'slow' takes longer, and the value
+  // 'fail' fails.
+  function persist(key, value) {
+    return new Promise(function(resolve, reject) {
+      setTimeout(function() {
+        if (value === 'fail')
+          reject(new Error('fail'));
+        else {
+          writes.push([ 'persist', key, value ]);
+          resolve();
+        }
+      }, (value === 'slow') ? 20 : 1);
+    });
+  }
+
+  function remove(key) {
+    writes.push([ 'remove', key ]);
+    return Promise.resolve();
+  }
+
+  function writesFor(key) {
+    return writes.filter(function(write) {
+      return write[1] === key;
+    });
+  }
+
+
+  describe('write-through', function() {
+
+    let cache;
+
+    before(function() {
+      writes  = [];
+      cache   = new Cache({ limit: 1, persist, remove });
+      cache
+        .set('a', 'slow')
+        .set('a', 'A')
+        .set('b', 'B')
+        .set('c', 'C', { ttl: 0 })
+        .set('p', Promise.resolve('P'));
+      cache.delete('a');
+      cache.delete('b');
+      return cache.flush();
+    });
+
+    it('should write changes to each key in order', function() {
+      assert.deepEqual(writesFor('a'), [
+        [ 'persist', 'a', 'slow' ],
+        [ 'persist', 'a', 'A' ],
+        [ 'remove', 'a' ]
+      ]);
+    });
+
+    it('should write keys not held in memory', function() {
+      assert.deepEqual(writesFor('b'), [ [ 'persist', 'b', 'B' ], [ 'remove', 'b' ] ]);
+      assert.deepEqual(writesFor('c'), [ [ 'persist', 'c', 'C' ] ]);
+    });
+
+    it('should not persist promises', function() {
+      assert.deepEqual(writesFor('p'), []);
+    });
+
+    it('should not write evicted or cleared keys', function() {
+      writes = [];
+      cache.set('d', 'D', { cost: 0 });
+      cache.clear();
+      return cache.flush()
+        .then(function() {
+          assert.deepEqual(writes, [ [ 'persist', 'd', 'D' ] ]);
+        });
+    });
+
+    it('should not write when cloning', function() {
+      cache.set('e', 'E', { cost: 0 });
+      return cache.flush()
+        .then(function() {
+          writes = [];
+          const clone = new Cache(cache);
+          assert.equal(clone.get('e'), 'E');
+          return clone.flush();
+        })
+        .then(function() {
+          assert.deepEqual(writes, []);
+        });
+    });
+
+    it('should not write when loading', function() {
+      writes = [];
+      const snapshot  = { limit: 1, entries: [ { key: 'f', value: 'F', cost: 1 } ] };
+      const loaded    = Cache.load(snapshot, { persist, remove });
+      assert.equal(loaded.get('f'), 'F');
+      return loaded.flush()
+        .then(function() {
+          assert.deepEqual(writes, []);
+        });
+    });
+
+  });
+
+
+  describe('write-behind', function() {
+
+    let cache;
+
+    before(function() {
+      writes  = [];
+      cache   = new Cache({ persist, remove, writeBehind: 30 });
+      cache
+        .set('a', 'A1')
+        .set('b', 'B')
+        .set('a', 'A2');
+      cache.delete('b');
+    });
+
+    it('should not write immediately', function() {
+      assert.deepEqual(writes, []);
+    });
+
+    it('should write last change to each key after interval', function() {
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 60);
+      })
+        .then(function() {
+          assert.deepEqual(writes, [ [ 'remove', 'b' ], [ 'persist', 'a', 'A2' ] ]);
+        });
+    });
+
+    it('should write pending changes on flush', function() {
+      writes = [];
+      cache.set('c', 'C');
+      return cache.flush()
+        .then(function() {
+          assert.deepEqual(writes, [ [ 'persist', 'c', 'C' ] ]);
+        });
+    });
+
+    it('should write pending changes after clear', function() {
+      writes = [];
+      cache.set('d', 'D');
+      cache.delete('c');
+      cache.clear();
+      assert.deepEqual(writes, []);
+      return cache.flush()
+        .then(function() {
+          assert.deepEqual(writes, [ [ 'remove', 'c' ], [ 'persist', 'd', 'D' ] ]);
+        });
+    });
+
+  });
+
+
+  describe('errors', function() {
+
+    let cache;
+
+    before(function() {
+      writes  = [];
+      cache   = new Cache({ persist });
+    });
+
+    it('should emit persistError event', function() {
+      const errors = [];
+      cache.once('persistError', function(event) {
+        errors.push([ event.key, event.operation, event.error.message ]);
+      });
+      cache.set('a', 'fail');
+      return cache.flush()
+        .then(function() {
+          return new Promise(setImmediate);
+        })
+        .then(function() {
+          assert.deepEqual(errors, [ [ 'a', 'persist', 'fail' ] ]);
+        });
+    });
+
+    it('should emit error event if not listening to persistError', function() {
+      const errors = [];
+      cache.once('error', function(error) {
+        errors.push(error.message);
+      });
+      cache.set('a', 'fail');
+      return cache.flush()
+        .then(function() {
+          return new Promise(setImmediate);
+        })
+        .then(function() {
+          assert.deepEqual(errors, [ 'fail' ]);
+        });
+    });
+
+    it('should keep writing after error', function() {
+      cache.on('persistError', function() {});
+      cache
+        .set('a', 'fail')
+        .set('a', 'A');
+      return cache.flush()
+        .then(function() {
+          assert.deepEqual(writes, [ [ 'persist', 'a', 'A' ] ]);
+        });
+    });
+
+  });
+
+});
+
+
+// AbortSignal with reason requires Node 17.2 or later
+const hasAbortReason = (typeof AbortController === 'function' && 'reason' in AbortSignal.prototype);
+
+(hasAbortReason ? describe : describe.skip)('Materialize timeout and abort', function() {
+
+  let cache;
+  let signals;
+
+  // Resolves after 50ms, unless aborted
+  function materialize(key, options) {
+    signals.set(key, options.signal);
+    return new Promise(function(resolve, reject) {
+      const timer = setTimeout(function() {
+        resolve(key.toUpperCase());
+      }, 50);
+      options.signal.addEventListener('abort', function() {
+        clearTimeout(timer);
+        reject(options.signal.reason);
+      });
+    });
+  }
+
+  beforeEach(function() {
+    signals = new Map();
+    cache   = new Cache({ materialize });
+  });
+
+  it('should pass signal to materialize', function() {
+    return cache.get('a')
+      .then(function(value) {
+        assert.equal(value, 'A');
+        assert(signals.get('a') instanceof AbortSignal);
+        assert.equal(signals.get('a').aborted, false);
+      });
+  });
+
+
+  describe('with timeout', function() {
+
+    beforeEach(function() {
+      cache.materializeTimeout = 10;
+    });
+
+    it('should reject promise', function() {
+      return expectRejection( cache.get('a') )
+        .then(function(error) {
+          assert.equal(error.code, 'ETIMEDOUT');
+          assert.equal(error.message, 'Materialize timed out after 10ms');
+        });
+    });
+
+    it('should evict key', function() {
+      return expectRejection( cache.get('a') )
+        .then(function() {
+          return new Promise(setImmediate);
+        })
+        .then(function() {
+          assert.equal(cache.has('a'), false);
+        });
+    });
+
+    it('should abort signal', function() {
+      return expectRejection( cache.get('a') )
+        .then(function(error) {
+          assert.equal(signals.get('a').aborted, true);
+          assert.equal(signals.get('a').reason, error);
+        });
+    });
+
+    it('should not time out if materialize is fast enough', function() {
+      cache.materializeTimeout = 100;
+      return cache.get('a')
+        .then(function(value) {
+          assert.equal(value, 'A');
+          assert.equal(signals.get('a').aborted, false);
+        });
+    });
+
+    it('should copy timeout when cloning', function() {
+      const clone = new Cache(cache);
+      assert.equal(clone.materializeTimeout, 10);
+    });
+
+  });
+
+
+  describe('delete', function() {
+
+    let promise;
+
+    beforeEach(function() {
+      promise = cache.get('a');
+      cache.get('b');
+      return new Promise(setImmediate)
+        .then(function() {
+          cache.delete('a');
+        });
+    });
+
+    it('should abort signal', function() {
+      assert.equal(signals.get('a').aborted, true);
+      assert.equal(signals.get('b').aborted, false);
+    });
+
+    it('should reject promise', function() {
+      return expectRejection(promise)
+        .then(function(error) {
+          assert.equal(error.name, 'AbortError');
+        });
+    });
+
+    it('should remove key', function() {
+      assert.equal(cache.has('a'), false);
+      assert.equal(cache.has('b'), true);
+    });
+
+    it('should not abort once materialized', function() {
+      return cache.get('b')
+        .then(function() {
+          cache.delete('b');
+          assert.equal(signals.get('b').aborted, false);
+        });
+    });
+
+  });
+
+
+  describe('delete while revalidating', function() {
+
+    beforeEach(function() {
+      cache.staleWhileRevalidate = 1000;
+      cache.set('a', 'old', { ttl: 1000 });
+      // Stale, returns old value and materializes in the background
+      const value = later(1500, function() {
+        return cache.get('a');
+      });
+      assert.equal(value, 'old');
+      return new Promise(setImmediate)
+        .then(function() {
+          cache.delete('a');
+        });
+    });
+
+    it('should abort signal', function() {
+      assert.equal(signals.get('a').aborted, true);
+    });
+
+  });
+
+
+  describe('clear', function() {
+
+    beforeEach(function() {
+      const other = cache.namespace('other');
+      other.materialize = materialize;
+      cache.get('a');
+      other.get('b');
+      return new Promise(setImmediate)
+        .then(function() {
+          cache.clear();
+        });
+    });
+
+    it('should abort all signals', function() {
+      assert.equal(signals.get('a').aborted, true);
+    });
+
+    it('should not abort other namespaces', function() {
+      assert.equal(signals.get('b').aborted, false);
+    });
+
+  });
+
+});
+
+
+describe('Materialize timeout without AbortController', function() {
+
+  let abortController;
+  let cache;
+
+  before(function() {
+    abortController         = global.AbortController;
+    global.AbortController  = undefined;
+    cache = new Cache({
+      materializeTimeout: 10,
+      materialize(key, options) {
+        assert.equal(options.signal, undefined);
+        return new Promise(function() {});
+      }
+    });
+  });
+
+  after(function() {
+    global.AbortController = abortController;
+  });
+
+  it('should reject promise on timeout', function() {
+    return cache.get('a')
+      .then(function() {
+        throw new Error('Not expected to arrive here');
+      }, function(error) {
+        assert.equal(error.code, 'ETIMEDOUT');
+        assert.equal(cache.has('a'), false);
+      });
+  });
+
+  it('should delete key', function() {
+    cache.get('b');
+    cache.delete('b');
+    assert.equal(cache.has('b'), false);
+  });
+
+});